@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util'
+import { formatRecord, readCapture, ReplayServer } from '../lib/capture.js'
+
+const USAGE = `Usage: amber-radiance-replay [options] <capture.jsonl>
+
+Print a traffic capture recorded with "amber-radiance --capture" or TrafficCapture,
+or answer commands with the recorded replies as a fake camera.
+
+Options:
+  --port <port>              Answer commands on this TCP port instead of printing
+  --pty <path>               Also expose the fake camera on a pseudo-terminal at <path> (requires socat)
+  -h, --help                 Show this help`
+
+const { values, positionals } = parseArgs({
+    options: {
+        port: { type: 'string' },
+        pty: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+    },
+    allowPositionals: true
+})
+
+if (values.help || positionals.length !== 1) {
+    console.info(USAGE)
+    process.exit(values.help ? 0 : 2)
+}
+
+const records = await readCapture(positionals[0])
+
+if (!values.port) {
+    for (const record of records) {
+        console.info(formatRecord(record))
+    }
+    process.exit(0)
+}
+
+const server = new ReplayServer(records)
+server.on('command', ({ functionCode, subFunctionCode, messageID }) => {
+    console.info(`Replaying function ${functionCode}/${subFunctionCode} (message ${messageID})`)
+})
+
+const port = Number(values.port)
+if (values.pty) {
+    await server.listenPTY(values.pty, port)
+    console.info(`Replaying ${records.length} records on ${values.pty} and TCP port ${port}`)
+} else {
+    await server.listen(port)
+    console.info(`Replaying ${records.length} records on TCP port ${port}`)
+}
+
+process.on('SIGINT', async() => {
+    await server.close()
+    process.exit(0)
+})
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util'
+import { Simulator } from '../lib/simulator.js'
+
+const USAGE = `Usage: amber-radiance-simulator [options]
+
+Simulate an Amber Radiance 1 camera for development without hardware.
+
+Options:
+  --port <port>              TCP port to listen on (default: 53000)
+  --pty <path>               Also expose the camera on a pseudo-terminal at <path> (requires socat)
+  --calibration-time <ms>    Time a calibration takes to complete (default: 5000)
+  --cool-down-time <ms>      Time the cooler takes to cool down (default: 420000)
+  --drop <probability>       Chance of not replying to a command (0-1)
+  --corrupt <probability>    Chance of replying with a bad checksum (0-1)
+  --latency <ms>             Delay before replying
+  --reject <fn/subfn>        Treat a function as unknown (repeatable, E.G. 5/4)
+  --no-fragment              Write replies in one piece instead of 1-3 bytes at a time
+  -h, --help                 Show this help`
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', default: '53000' },
+        pty: { type: 'string' },
+        'calibration-time': { type: 'string' },
+        'cool-down-time': { type: 'string' },
+        drop: { type: 'string', default: '0' },
+        corrupt: { type: 'string', default: '0' },
+        latency: { type: 'string', default: '0' },
+        reject: { type: 'string', multiple: true, default: [] },
+        'no-fragment': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+    }
+})
+
+if (values.help) {
+    console.info(USAGE)
+    process.exit(0)
+}
+
+const simulator = new Simulator({
+    calibrationTime: values['calibration-time'] && Number(values['calibration-time']),
+    coolDownTime: values['cool-down-time'] && Number(values['cool-down-time']),
+    fragment: !values['no-fragment'],
+    faults: {
+        drop: Number(values.drop),
+        corrupt: Number(values.corrupt),
+        latency: Number(values.latency),
+        reject: values.reject.map(code => code.split('/').map(Number))
+    }
+})
+simulator.on('command', ({ functionCode, subFunctionCode, messageID }) => {
+    console.info(`Received function ${functionCode}/${subFunctionCode} (message ${messageID})`)
+})
+simulator.on('calibrationComplete', ({ points }) => console.info(`${points}-point calibration complete`))
+simulator.on('coolerReady', () => console.info('Cooler ready'))
+
+const port = Number(values.port)
+if (values.pty) {
+    await simulator.listenPTY(values.pty, port)
+    console.info(`Simulated camera available on ${values.pty} and TCP port ${port}`)
+} else {
+    await simulator.listen(port)
+    console.info(`Simulated camera listening on TCP port ${port}`)
+}
+
+process.on('SIGINT', async() => {
+    await simulator.close()
+    process.exit(0)
+})
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+import { main } from '../lib/cli.js'
+
+const controller = new AbortController()
+process.once('SIGINT', () => controller.abort())
+
+process.exitCode = await main(process.argv.slice(2), { signal: controller.signal })
@@ -1,300 +1,848 @@
-import { EventEmitter, once } from 'node:events'
+import { EventEmitter } from 'node:events'
 import { Device as TCPDevice } from '@appliedminds/tcp'
 import { Device as SerialDevice } from '@appliedminds/serial'
+import { AGC_MODES, CODECS, defineFunction, defineModes, describeFrame, encode, FrameDecoder, FUNCTIONS, functionName, ITT_MODES, LUT_MODES, modeName, NUC_MODES } from './lib/protocol.js'
+import { commandEnd, commandStart, createConsoleLogger } from './lib/diagnostics.js'
+import { BAUD_RATES, listSerialPorts } from './lib/discovery.js'
+import { RFC2217Device } from './lib/rfc2217.js'
+import { LoopbackDevice, StreamDevice } from './lib/transports.js'
+import { CameraNotFoundError, ChecksumError, NotConnectedError, NotUndoableError, ResponseTimeoutError, UnknownStateError, UnsupportedResponseError, ValidationError } from './lib/errors.js'
 
-function invertMap(obj) {
-    const inverted = {}
-    for (const key in obj) {
-        inverted[obj[key]] = key
-    }
-    return inverted
-}
+export { AGC_MODES, ITT_MODES, LUT_MODES, NUC_MODES }
+export { BusyError, CameraError, CameraNotFoundError, CancelledError, ChecksumError, InvalidStateError, NotConnectedError, NotFoundError, NotUndoableError, ResponseTimeoutError, UnknownStateError, UnsupportedResponseError, ValidationError } from './lib/errors.js'
 
-// Standard packets are 14 bytes. Each byte as follows:
-// 0: Major Revision (always 0x03)
-// 1: Minor Revision (always 0x00)
-// 2: Process ID (always 0x01)
-// 3: Function Number
-// 4: Subfunction Number
-// 5: Packet number
-// 6: IStatus (?) (always 0xff)
-// 7: CStatus (?) (always 0xff)
-// 8: Data count 1
-// 9: Data count 2
-// 10: Checksum (first 10 bytes summed, mod 256)
-// 11: Unknown (always 2)
-// 12: Unknown (always 0)
-// 13: Unknown (always 0)
-const STD_HEADER = Buffer.alloc(8)
-STD_HEADER[0] = 3 // Major revision
-STD_HEADER[1] = 0 // Minor revision
-STD_HEADER[2] = 1 // Process ID
-STD_HEADER[6] = 0xff // IStatus
-STD_HEADER[7] = 0xff // CStatus
-
-const STD_FOOTER = Buffer.alloc(4)
-STD_FOOTER[1] = 2 // Unknown
+const RESPONSE_TIMEOUT = 1000 // ms
+const DISCOVERY_TIMEOUT = 250 // ms
 
-// Function/Subfunction Lookup Table
-const FUNCTIONS = {
-    AGC_OFF: [1, 0],
-    AGC_ON: [1, 1],
-    AGC_GET: [1, 2],
-    AGC_SET: [1, 3],
-    COOLER_OFF: [3, 2],
-    COOLER_ON: [3, 3],
-    STATUS_GET: [3, 5],
-    FREEZE_FRAME: [4, 1],
-    BRIGHTNESS_UP: [4, 4],
-    BRIGHTNESS_DOWN: [4, 5],
-    CONTRAST_UP: [4, 6],
-    CONTRAST_DOWN: [4, 7],
-    INVERT_IMAGE: [5, 0],
-    LUT_SET: [5, 1],
-    LUT_GET: [5, 2],
-    ITT_SET: [5, 4],
-    ITT_GET: [5, 5],
-    COLOR_BAR_OFF: [5, 0x0c],
-    COLOR_BAR_ON: [5, 0x0d],
-    OSD_OFF: [6, 0],
-    OSD_ON: [6, 1],
-    CALIBRATE_1_POINT: [7, 1],
-    CALIBRATE_2_POINT: [7, 2],
-    NUC_SET: [7, 5],
-    NUC_GET: [7, 6],
-}
+// The packet number is a single header byte, so IDs cycle through 1-255
+const MAX_MESSAGE_ID = 255
 
-// Automatic Gain Control Modes
-const AGC_MODES = {
-    off: -1,
-    full: 0,
-    midsize: 1,
-    center: 2,
-    horizon: 3,
+// Validate option against a list of options
+function validate(option, options) {
+    const allowed = Object.keys(options)
+    if (!allowed.includes(option)) throw new ValidationError(`Option "${option}" is invalid. Available options are [${allowed.map(v => `"${v}"`).join(', ')}]`, { value: option, allowed })
+    return options[option]
 }
 
-// Intensity Transform Table Modes
-const ITT_MODES = {
-    linear: 1,
-    inverse: 2,
-    's-curve': 3,
-    'two-cycle': 4
+// Read the data word a getter replies with
+function readWord(name, response) {
+    if (!response || response.length < 2) {
+        throw new UnsupportedResponseError(`Expected a data word in response to ${name}, got ${response?.length ?? 0} byte(s)`, { functionName: name, response })
+    }
+    return response.readUInt16LE(0)
 }
-const ITT_MAP = invertMap(ITT_MODES)
 
-// Non-Uniformity Correction Modes
-const NUC_MODES = {
-    cold: 1,
-    mid: 2,
-    warm: 3,
-    hot: 4
+// Read the mode a getter replies with
+function readMode(name, modes, response) {
+    const value = readWord(name, response)
+    const mode = modeName(modes, value)
+    if (mode === undefined) throw new UnsupportedResponseError(`Unknown mode ${value} in response to ${name}`, { functionName: name, response })
+    return mode
 }
-const NUC_MAP = invertMap(NUC_MODES)
 
-// Look-Up Table Modes
-const LUT_MODES = {
-    'black-and-white': 1,
-    color: 2,
-    sepia: 3
+// Profile fields, in the order they are applied
+const PROFILE_FIELDS = {
+    nuc: NUC_MODES,
+    itt: ITT_MODES,
+    lut: LUT_MODES,
+    agc: AGC_MODES,
+    osd: 'boolean',
+    colorBar: 'boolean'
 }
-const LUT_MAP = invertMap(LUT_MODES)
-
-const RESPONSE_TIMEOUT = 1000 // ms
-
-function createPacket(messageNumber, command, subCommand = 0, ...data) {
-    // Create a standard header
-    const header = Buffer.from(STD_HEADER)
-    // Set command bytes
-    header[3] = command
-    header[4] = subCommand
-    // Set message number
-    header[5] = messageNumber
 
-    // Set data (if given)
-    const dataSize = 2 + data.length * 2
-    const dataBlock = Buffer.alloc(dataSize)
-    if (data.length) {
-        dataBlock.writeUInt16LE(data.length * 2)
-        for (let i = 0; i < data.length; i++) {
-            dataBlock.writeUInt16LE(data[i], 2 + i * 2)
+// Validate an imaging profile, throwing on unknown fields or invalid values
+export function validateProfile(profile) {
+    if (profile === null || typeof profile !== 'object' || Array.isArray(profile)) throw new ValidationError('Profile must be an object', { value: profile })
+    for (const [key, value] of Object.entries(profile)) {
+        if (key === 'name') {
+            if (typeof value !== 'string' || !value) throw new ValidationError('Profile name must be a non-empty string', { value })
+            continue
+        }
+        const type = PROFILE_FIELDS[key]
+        if (!type) throw new ValidationError(`Unknown profile field "${key}". Available fields are [${Object.keys(PROFILE_FIELDS).map(v => `"${v}"`).join(', ')}]`, { value: key, allowed: Object.keys(PROFILE_FIELDS) })
+        if (type === 'boolean') {
+            if (typeof value !== 'boolean') throw new ValidationError(`Profile field "${key}" must be true or false`, { value })
+        } else {
+            validate(value, type)
         }
     }
+    return profile
+}
 
-    // Create standard footer
-    const footer = Buffer.from(STD_FOOTER)
+// Fields of camera.state, undefined while unknown
+const STATE_FIELDS = ['nuc', 'lut', 'itt', 'agc', 'agcEnabled', 'osd', 'colorBar', 'frozen', 'inverted', 'cooler']
 
-    // Calculate checksum
-    const msg = Buffer.concat([header, dataBlock])
-    for (let i = 0; i < msg.length; i++) {
-        footer[0] += msg[i]
-    }
+// Toggle-only settings known after a power cycle
+const POWER_ON_STATE = { frozen: false, inverted: false }
 
-    return Buffer.concat([msg, footer])
+// Modes that can be read back, so the journal records the mode they replaced
+const READBACK_MODES = {
+    nuc: { modes: NUC_MODES, get: 'getNUC', set: 'setNUC', codes: 'NUC_SET' },
+    lut: { modes: LUT_MODES, get: 'getLUT', set: 'setLUT', codes: 'LUT_SET' },
+    itt: { modes: ITT_MODES, get: 'getITT', set: 'setITT', codes: 'ITT_SET' }
 }
 
-function parsePacket(buff, dataSize) {
-    // Check checksum
-    let expected = 0
-    for (let i = 0; i < 10 + dataSize; i++) {
-        expected += buff[i]
-    }
+// Command option marking the command that reverses a journal entry, by entry ID
+const UNDOES = Symbol('undoes')
 
-    if (buff[10 + dataSize] !== expected % 256) {
-        throw new Error(`Incorrect checksum: Expected ${expected % 256}, got ${buff[10 + dataSize]}. Ignoring...`)
+// Number of steps between the lowest and highest brightness/contrast level
+const LEVEL_RANGE = 255
+
+// Tracks the estimated level of a step-only setting (brightness or contrast) and coalesces step requests
+class LevelControl {
+    constructor(camera, name, up, down) {
+        this.camera = camera
+        this.name = name
+        this.up = up
+        this.down = down
+        this.level = undefined // Unknown until a reference point is set
+        this.pending = 0 // Steps still to send
+        this.inFlight = 0 // Direction of the step awaiting confirmation
+        this.done = null
+    }
+    adjust(steps, options) {
+        if (!Number.isInteger(steps)) return Promise.reject(new ValidationError(`Steps must be an integer, got ${steps}`, { value: steps }))
+        this.pending += steps
+        return this.run(options)
+    }
+    // Send pending steps one at a time until none are left
+    async drain(options) {
+        while (this.pending) {
+            const direction = Math.sign(this.pending)
+            this.pending -= direction
+            // Nothing changes when stepping past either end of the range
+            if (this.level !== undefined && (this.level + direction < 0 || this.level + direction > this.camera.levelRange)) continue
+            this.inFlight = direction
+            try {
+                await this.camera.send(...direction > 0 ? this.up : this.down, options)
+            } catch (e) {
+                // The step may or may not have been applied
+                this.pending = 0
+                this.level = undefined
+                throw e
+            } finally {
+                this.inFlight = 0
+            }
+            this.step(direction)
+        }
+    }
+    async reset(options) {
+        this.level = undefined
+        this.pending = -this.camera.levelRange
+        await this.run(options)
+        this.level = 0
+    }
+    // Coalesce into the running sequence of steps, if any. Options of the first request apply.
+    run(options) {
+        if (!this.done) {
+            this.done = this.drain(options).finally(() => {
+                this.done = null
+            })
+        }
+        return this.done
     }
+    set(level, options) {
+        if (this.level === undefined) return Promise.reject(new UnknownStateError(`The ${this.name} level is unknown. Set a reference point first.`, { field: this.name }))
+        if (!Number.isInteger(level) || level < 0 || level > this.camera.levelRange) {
+            return Promise.reject(new ValidationError(`The ${this.name} level must be an integer between 0 and ${this.camera.levelRange}, got ${level}`, { value: level }))
+        }
+        // The latest target replaces any steps still pending
+        this.pending = level - this.level - this.inFlight
+        return this.run(options)
+    }
+    step(direction) {
+        if (this.level !== undefined) this.level = Math.min(Math.max(this.level + direction, 0), this.camera.levelRange)
+    }
+}
 
-    const messageID = buff[5]
-    const response = dataSize ? buff.subarray(10, 10 + dataSize) : undefined
-    return { messageID, response }
+// Transport factories by name, see Camera.defineTransport(). Each gets the transport options passed to the
+// constructor and returns a device with connect(), close() and send() that emits `data`.
+const TRANSPORTS = {
+    tcp: ({ host, port }) => new TCPDevice({ host, port, responseTimeout: 1 }),
+    serial: ({ port, baudRate = BAUD_RATES[0] }) => new SerialDevice({ port, baudRate, autoConnect: false, parser: null }),
+    rfc2217: options => new RFC2217Device(options),
+    stream: options => new StreamDevice(options),
+    loopback: options => new LoopbackDevice(options)
 }
 
-// Validate option against a list of options
-function validate(option, options) {
-    if (!Object.keys(options).includes(option)) throw new Error(`Option "${option}" is invalid. Available options are [${Object.keys(options).map(v => `"${v}"`).join(', ')}]`)
-    return options[option]
+// Default argument encoder for Camera#call(): no value, a single word or a list of words
+function toWords(value) {
+    if (value === undefined) return []
+    return Array.isArray(value) ? value : [value]
 }
 
-const TRANSPORTS = {
-    tcp: { className: TCPDevice, defaultArgs: { responseTimeout: 1 } },
-    serial: { className: SerialDevice, defaultArgs: { baudRate: 38400, autoConnect: false, parser: null } }
+// Split variadic data words from trailing command options. A trailing undefined is options that weren't given.
+function splitOptions(args) {
+    const last = args.at(-1)
+    if (args.length && (last === undefined || last instanceof Object)) return [args.slice(0, -1), last]
+    return [args, undefined]
 }
 
 // Serial or TCP Client for a Raytheon Amber Radiance 1 IR camera
 export class Camera extends EventEmitter {
-    constructor({ host, port, verbose = false, transport = 'tcp' }) {
+    constructor({ host, port, verbose = false, logger, stream, transport = stream ? 'stream' : 'tcp', baudRate, concurrency = 1, retries = 0, responseTimeout = RESPONSE_TIMEOUT, levelRange = LEVEL_RANGE, desiredState = null, user, journalSize = 0, ...transportOptions }) {
         super()
         this.verbose = verbose
-        const { className, defaultArgs } = TRANSPORTS[transport]
-        this.controller = new className({ host, port, ...defaultArgs })
-        this.controller.on('connect', () => {
-            if (this.verbose) console.info('Connected to Camera')
+        // Any logger with pino-style debug/info/warn/error(fields, message) methods
+        this.logger = logger ?? createConsoleLogger({ level: verbose ? 'debug' : 'error' })
+        validate(transport, TRANSPORTS)
+        if (port === 'auto' && transport !== 'serial') throw new ValidationError('Port "auto" is only supported by the serial transport', { value: port })
+        this.transport = transport
+        this.host = host
+        this.port = port
+        this.baudRate = baudRate
+        // Passed on to the transport factory along with host, port and baudRate
+        this.transportOptions = { stream, ...transportOptions }
+        // With port "auto", the controller is created once connect() has found the camera
+        this.controller = null
+        if (port !== 'auto') this.createController(port, baudRate)
+
+        this.connected = false
+        this.messageNumber = 0
+        this.decoder = new FrameDecoder()
+        this.decoder.on('frame', this.dispatch.bind(this))
+        this.decoder.on('protocolError', details => {
+            this.logger.warn({ reason: details.reason, messageID: details.messageID, data: details.data.toString('hex') }, details.message)
+            // Fail the matching attempt so it can be retried
+            if (details.error) this.pending.get(details.messageID)?.reject(details.error)
+            this.emit('protocolError', details)
         })
-        this.controller.on('data', this.receive.bind(this))
-        this.controller.on('error', console.error)
-        this.controller.on('reconnect', console.warn)
+        this.responseTimeout = responseTimeout
+        this.retries = retries
+
+        // Last known settings, used to skip redundant commands. Only changed through updateState().
+        this.shadow = {}
 
-        this.messageNumber = 1
-        this.receiveBuffer = Buffer.alloc(0)
-        this.responseTimeout = RESPONSE_TIMEOUT
+        // Settings restored after reconnects and power cycles, see setDesiredState()
+        this.desiredState = desiredState && { ...validateProfile(desiredState) }
+        this.reconciling = null
+        this.reconcileAgain = null
+        this.numPowerCycles = undefined
+
+        // Estimated brightness/contrast levels
+        this.levelRange = levelRange
+        this.levelControls = {
+            brightness: new LevelControl(this, 'brightness', FUNCTIONS.BRIGHTNESS_UP, FUNCTIONS.BRIGHTNESS_DOWN),
+            contrast: new LevelControl(this, 'contrast', FUNCTIONS.CONTRAST_UP, FUNCTIONS.CONTRAST_DOWN)
+        }
+
+        // Journal of state-changing commands, oldest first, see undo(). Off unless a size is given, as it reads
+        // back NUC, LUT and ITT before changing them.
+        if (!Number.isInteger(journalSize) || journalSize < 0) throw new ValidationError(`Journal size must be a non-negative integer, got ${journalSize}`, { value: journalSize })
+        this.user = user
+        this.journalSize = journalSize
+        this.entries = []
+        this.reversals = new Map() // Functions that reverse undoable entries, by entry ID
+        this.nextEntryID = 1
+
+        // Command scheduler state
+        this.concurrency = concurrency
+        this.queue = []
+        this.inFlight = 0
+        this.pending = new Map()
+    }
+    // Probe serial ports for cameras by sending STATUS_GET at each baud rate until one replies with a valid frame.
+    // Resolves to a list of { port, baudRate, status }, one per camera found.
+    static async discover({ ports, baudRates = BAUD_RATES, timeout = DISCOVERY_TIMEOUT, logger, signal } = {}) {
+        ports ??= await listSerialPorts()
+        // Ports without a camera behind them are expected to fail, so the probes themselves don't log
+        const silent = createConsoleLogger({ level: 'silent' })
+        logger ??= silent
+        const found = []
+        for (const port of ports) {
+            for (const baudRate of baudRates) {
+                signal?.throwIfAborted()
+                const camera = new Camera({ transport: 'serial', port, baudRate, logger: silent, responseTimeout: timeout })
+                try {
+                    await camera.connect()
+                    const status = await camera.getStatus({ signal })
+                    logger.info({ port, baudRate }, 'Found camera')
+                    found.push({ port, baudRate, status })
+                    break
+                } catch (err) {
+                    if (signal?.aborted) throw signal.reason
+                    logger.debug({ port, baudRate, err }, 'No camera found')
+                } finally {
+                    // The port may not have opened at all
+                    await camera.close().catch(() => { /* Nothing to close */ })
+                }
+            }
+        }
+        return found
+    }
+    // Register a named function for use with camera.call()
+    static defineFunction(name, codes, codec) {
+        return defineFunction(name, codes, codec)
+    }
+    // Add modes to a mode table (agc, itt, nuc, lut or a new one)
+    static defineModes(name, modes) {
+        return defineModes(name, modes)
     }
-    close() {
-        return this.controller.close()
+    // Register a transport by name. `factory` gets the constructor's transport options and returns the device.
+    static defineTransport(name, factory) {
+        if (typeof name !== 'string' || !name) throw new ValidationError('Transport names must be non-empty strings', { value: name })
+        if (typeof factory !== 'function') throw new ValidationError(`Transport "${name}" needs a factory function`, { value: factory })
+        TRANSPORTS[name] = factory
+        return Object.keys(TRANSPORTS)
     }
-    connect() {
+    // Step brightness up (> 0) or down (< 0) a number of times
+    adjustBrightness(steps, options) {
+        return this.adjustLevel('brightness', 'adjustBrightness', steps, options)
+    }
+    // Step contrast up (> 0) or down (< 0) a number of times
+    adjustContrast(steps, options) {
+        return this.adjustLevel('contrast', 'adjustContrast', steps, options)
+    }
+    async adjustLevel(name, action, steps, options) {
+        const control = this.levelControls[name]
+        const previous = control.level
+        await control.adjust(steps, options)
+        // Steps past either end of the range are skipped, so undo the change actually made when the level is known
+        const applied = previous === undefined || control.level === undefined ? steps : control.level - previous
+        this.record(action, steps, options, { previous, undo: undoOptions => this[action](-applied, undoOptions) })
+    }
+    // Apply a profile, only sending commands for settings that differ from what is known to be active
+    async applyProfile(profile, { force = false, ...options } = {}) {
+        validateProfile(profile)
+        const changed = []
+        const setters = { nuc: 'setNUC', itt: 'setITT', lut: 'setLUT', agc: 'setAGC', osd: 'toggleOSD', colorBar: 'toggleColorBar' }
+        for (const key in PROFILE_FIELDS) {
+            const value = profile[key]
+            if (value === undefined || !force && value === this.shadow[key]) continue
+            if (key === 'agc' && value !== 'off' && this.shadow.agcEnabled && !force) {
+                // AGC is already on, only the mode needs changing
+                const previous = this.shadow.agc
+                await this.send(...FUNCTIONS.AGC_SET, AGC_MODES[value], options)
+                this.updateState({ agc: value })
+                this.record('setAGC', value, options, { previous, undo: previous && (undoOptions => this.setAGC(previous, undoOptions)) })
+            } else {
+                await this[setters[key]](value, options)
+            }
+            changed.push(key)
+        }
+        return changed
+    }
+    // Read the active settings into a profile
+    async captureProfile(options) {
+        const profile = {
+            nuc: await this.getNUC(options),
+            lut: await this.getLUT(options),
+            itt: await this.getITT(options)
+        }
+        // The camera only reports whether AGC is on, so the mode is the last one set
+        const agcEnabled = await this.getAGC(options)
+        if (!agcEnabled) {
+            profile.agc = 'off'
+        } else if (this.shadow.agc && this.shadow.agc !== 'off') {
+            profile.agc = this.shadow.agc
+        }
+        // OSD and color bar can't be read back at all
+        if (this.shadow.osd !== undefined) profile.osd = this.shadow.osd
+        if (this.shadow.colorBar !== undefined) profile.colorBar = this.shadow.colorBar
+        return profile
+    }
+    // Call a function registered with Camera.defineFunction(), encoding `value` and decoding the response
+    async call(name, value, options) {
+        if (!(name in FUNCTIONS)) throw new ValidationError(`Unknown function "${name}"`, { value: name, allowed: Object.keys(FUNCTIONS) })
+        const { encode = toWords, decode } = CODECS[name] ?? {}
+        const response = await this.send(...FUNCTIONS[name], ...encode(value), options)
+        return decode ? decode(response ?? Buffer.alloc(0)) : response
+    }
+    async close() {
+        // Fail anything that is still waiting on the camera
+        this.connected = false
+        const error = new NotConnectedError('Connection closed')
+        for (const job of this.queue.splice(0)) {
+            job.reject(error)
+        }
+        for (const { reject } of this.pending.values()) {
+            reject(error)
+        }
+        this.pending.clear()
+        await this.controller?.close()
+    }
+    async connect() {
+        if (!this.controller) {
+            const baudRates = this.baudRate ? [this.baudRate] : undefined
+            const ports = await listSerialPorts()
+            const [found] = await Camera.discover({ ports, baudRates, logger: this.logger })
+            if (!found) throw new CameraNotFoundError(`No camera found on ${ports.length ? ports.join(', ') : 'any serial port'}`, { ports, baudRates: baudRates ?? BAUD_RATES })
+            this.port = found.port
+            this.baudRate = found.baudRate
+            this.createController(found.port, found.baudRate)
+        }
         // Connect to control port
-        return this.controller.connect()
+        await this.controller.connect()
+        this.connected = true
+        this.emit('connect', { reconnect: false })
+        this.scheduleReconcile('connect')
+    }
+    // Create the transport device for a port and listen to it
+    createController(port, baudRate) {
+        const { host } = this
+        this.controller = TRANSPORTS[this.transport]({ ...this.transportOptions, host, port, baudRate })
+        this.controller.on('connect', () => {
+            this.logger.info({ host, port }, 'Connected to camera')
+            // The camera may have been power cycled while the connection was down
+            if (!this.connected) return
+            this.emit('connect', { reconnect: true })
+            this.resetDetected('reconnect')
+        })
+        this.controller.on('data', this.receive.bind(this))
+        this.controller.on('error', err => this.logger.error({ err }, 'Transport error'))
+        this.controller.on('reconnect', details => this.logger.warn({ details }, 'Reconnecting to camera'))
+    }
+    // Hand a decoded frame to the command waiting on it
+    dispatch(reply) {
+        this.logger.debug({ direction: 'in', ...describeFrame(reply.frame) }, 'Received frame')
+        const pending = this.pending.get(reply.messageID)
+        if (pending) return pending.resolve(reply)
+        this.emit('unsolicited', reply)
+    }
+    // Queue a command. Resolves with the decoded reply once confirmed.
+    enqueue(command, subCommand, data, { timeout = this.responseTimeout, retries = this.retries, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            signal?.throwIfAborted()
+            const job = { command, subCommand, data, timeout, retries, signal, resolve, reject }
+            // Drop the command from the queue if cancelled before it is sent
+            job.onAbort = () => {
+                const index = this.queue.indexOf(job)
+                if (index !== -1) this.queue.splice(index, 1)
+                reject(signal.reason)
+            }
+            signal?.addEventListener('abort', job.onAbort, { once: true })
+            this.queue.push(job)
+            this.processQueue()
+        })
+    }
+    // Run a queued command, retrying timed out or corrupted responses
+    async execute(job) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.transmit(job)
+            } catch (e) {
+                const retryable = e instanceof ResponseTimeoutError || e instanceof ChecksumError
+                if (attempt >= job.retries || job.signal?.aborted || !retryable) throw e
+                this.logger.warn({ function: functionName(job.command, job.subCommand), command: job.command, subCommand: job.subCommand, attempt: attempt + 1, err: e }, 'Retrying command')
+            }
+        }
     }
     // Only returns true/false, not the actual mode that was set
-    async getAGC() {
-        const response = await this.send(...FUNCTIONS.AGC_GET)
-        return response.readUInt16LE(0) ? true : false
+    async getAGC(options) {
+        const response = await this.send(...FUNCTIONS.AGC_GET, options)
+        const agcEnabled = readWord('AGC_GET', response) ? true : false
+        this.updateState(agcEnabled ? { agcEnabled, ...this.shadow.agc === 'off' && { agc: undefined } } : { agcEnabled, agc: 'off' })
+        return agcEnabled
     }
-    async getITT() {
-        const response = await this.send(...FUNCTIONS.ITT_GET)
-        return ITT_MAP[response.readUInt16LE(0)]
+    // The camera only reports whether AGC is on, so the region is the last one set through this instance.
+    // Resolves to undefined when AGC is on but the region is unknown.
+    async getAGCMode(options) {
+        await this.getAGC(options)
+        return this.shadow.agc
     }
-    async getLUT() {
-        const response = await this.send(...FUNCTIONS.LUT_GET)
-        return LUT_MAP[response.readUInt16LE(0)]
+    async getITT(options) {
+        const response = await this.send(...FUNCTIONS.ITT_GET, options)
+        const itt = readMode('ITT_GET', ITT_MODES, response)
+        this.updateState({ itt })
+        return itt
     }
-    async getNUC() {
-        const response = await this.send(...FUNCTIONS.NUC_GET)
-        return NUC_MAP[response.readUInt16LE(0)]
+    async getLUT(options) {
+        const response = await this.send(...FUNCTIONS.LUT_GET, options)
+        const lut = readMode('LUT_GET', LUT_MODES, response)
+        this.updateState({ lut })
+        return lut
     }
-    async getStatus() {
-        const response = await this.send(...FUNCTIONS.STATUS_GET)
-        return {
+    async getNUC(options) {
+        const response = await this.send(...FUNCTIONS.NUC_GET, options)
+        const nuc = readMode('NUC_GET', NUC_MODES, response)
+        this.updateState({ nuc })
+        return nuc
+    }
+    async getStatus(options) {
+        const response = await this.send(...FUNCTIONS.STATUS_GET, options)
+        if (!response || response.length < 8) {
+            throw new UnsupportedResponseError(`Expected 8 bytes in response to STATUS_GET, got ${response?.length ?? 0}`, { functionName: 'STATUS_GET', response })
+        }
+        const status = {
             numCoolerCycles: response.readUInt16LE(0),
             numPowerCycles: response.readUInt16LE(2),
             coolerTime: response.readUInt32LE(4) // Seems to be a timestamp
         }
+        // Any change, including the 16 bit counter wrapping, means the camera restarted with its default settings
+        const previous = this.numPowerCycles
+        this.numPowerCycles = status.numPowerCycles
+        if (previous !== undefined && status.numPowerCycles !== previous) {
+            this.emit('powerCycled', { numPowerCycles: status.numPowerCycles, previous })
+            this.resetDetected('powerCycle')
+        }
+        return status
+    }
+    // Estimated brightness/contrast levels, undefined when unknown
+    get levels() {
+        return {
+            brightness: this.levelControls.brightness.level,
+            contrast: this.levelControls.contrast.level
+        }
+    }
+    // Journaled state-changing commands, oldest first
+    get journal() {
+        return this.entries.map(entry => ({ ...entry }))
+    }
+    // Flip the image vertically, see setInverted() to set it either way
+    async invertImage(options) {
+        const previous = this.shadow.inverted
+        await this.send(...FUNCTIONS.INVERT_IMAGE, options)
+        if (this.shadow.inverted !== undefined) this.updateState({ inverted: !this.shadow.inverted })
+        this.record('invertImage', undefined, options, { previous, undo: undoOptions => this.invertImage(undoOptions) })
     }
-    invertImage() {
-        return this.send(...FUNCTIONS.INVERT_IMAGE)
+    // Pick the next free packet number, wrapping around after 255
+    nextMessageID() {
+        do {
+            this.messageNumber = this.messageNumber % MAX_MESSAGE_ID + 1
+        } while (this.pending.has(this.messageNumber))
+        return this.messageNumber
+    }
+    // Start queued commands while there is room in flight
+    processQueue() {
+        while (this.inFlight < this.concurrency && this.queue.length) {
+            const job = this.queue.shift()
+            job.signal?.removeEventListener('abort', job.onAbort)
+            this.inFlight++
+            this.execute(job).then(job.resolve, job.reject).finally(() => {
+                this.inFlight--
+                this.processQueue()
+            })
+        }
     }
     receive(data) {
-        // eslint-disable-next-line
-        if (this.verbose) console.debug('<<< ', data)
-        this.receiveBuffer = Buffer.concat([this.receiveBuffer, data])
-        if (this.receiveBuffer.length >= 14) {
-            // Get data size
-            const dataSize = this.receiveBuffer.readUInt16LE(8)
-
-            // Ensure packet is big enough
-            const packetSize = 14 + dataSize
-            if (this.receiveBuffer.length >= packetSize) {
-                const packet = this.receiveBuffer.subarray(0, packetSize)
-                this.receiveBuffer = this.receiveBuffer.subarray(packetSize)
-                const { messageID, response } = parsePacket(packet, dataSize)
-                this.emit(`confirm/${messageID}`, response)
+        this.emit('traffic', { direction: 'in', data })
+        this.decoder.push(data)
+    }
+    // Read back the active settings and re-apply those that differ from the desired state.
+    // Resolves to the settings that drifted, as { field, expected, actual }.
+    async reconcile({ reason = 'manual', ...options } = {}) {
+        const desired = this.desiredState
+        if (!desired) return []
+        const actual = await this.captureProfile(options)
+        const drift = Object.keys(PROFILE_FIELDS)
+            .filter(field => desired[field] !== undefined && desired[field] !== actual[field])
+            .map(field => ({ field, expected: desired[field], actual: actual[field] }))
+        if (drift.length) {
+            this.emit('driftDetected', { reason, drift })
+            await this.applyProfile(Object.fromEntries(drift.map(({ field, expected }) => [field, expected])), options)
+        }
+        this.emit('reconciled', { reason, drift })
+        return drift
+    }
+    // Add a command that succeeded to the journal. `undo` reverses it, `reason` says why it can't be.
+    record(action, value, options, { previous, undo, reason = 'The setting it replaced is unknown' }) {
+        if (!this.journalSize) return
+        const entry = {
+            id: this.nextEntryID++,
+            time: new Date(),
+            user: options?.user ?? this.user,
+            action,
+            value,
+            previous,
+            undoable: Boolean(undo),
+            undone: false,
+            ...!undo && { reason },
+            ...options?.[UNDOES] && { undoes: options[UNDOES] }
+        }
+        this.entries.push(entry)
+        if (undo) this.reversals.set(entry.id, undo)
+        for (const dropped of this.entries.splice(0, this.entries.length - this.journalSize)) {
+            this.reversals.delete(dropped.id)
+        }
+        this.emit('journal', entry)
+    }
+    // The camera lost its settings, or may have. Forget what is known about them and restore the desired state.
+    resetDetected(reason) {
+        this.updateState({
+            ...Object.fromEntries(STATE_FIELDS.map(field => [field, undefined])),
+            ...reason === 'powerCycle' && POWER_ON_STATE
+        })
+        if (reason === 'powerCycle') {
+            for (const control of Object.values(this.levelControls)) {
+                control.level = undefined
             }
         }
+        this.scheduleReconcile(reason)
+    }
+    async run1PointCalibration(options) {
+        const nucMode = await this.getNUC(options)
+        const response = await this.send(...FUNCTIONS.CALIBRATE_1_POINT, NUC_MODES[nucMode], 0, options)
+        this.record('run1PointCalibration', nucMode, options, { reason: 'A calibration replaces the NUC table' })
+        return response
     }
-    async run1PointCalibration() {
-        const nucMode = await this.getNUC()
-        return this.send(...FUNCTIONS.CALIBRATE_1_POINT, nucMode, 0)
+    async run2PointCalibration(options) {
+        const nucMode = await this.getNUC(options)
+        const response = await this.send(...FUNCTIONS.CALIBRATE_2_POINT, NUC_MODES[nucMode], 0, options)
+        this.record('run2PointCalibration', nucMode, options, { reason: 'A calibration replaces the NUC table' })
+        return response
     }
-    async run2PointCalibration() {
-        const nucMode = await this.getNUC()
-        return this.send(...FUNCTIONS.CALIBRATE_2_POINT, nucMode, 0)
+    // Step brightness all the way down, after which the level is known to be 0
+    async resetBrightness(options) {
+        const previous = this.levelControls.brightness.level
+        await this.levelControls.brightness.reset(options)
+        this.record('resetBrightness', undefined, options, { previous, undo: previous !== undefined && (undoOptions => this.setBrightnessLevel(previous, undoOptions)) })
+    }
+    // Step contrast all the way down, after which the level is known to be 0
+    async resetContrast(options) {
+        const previous = this.levelControls.contrast.level
+        await this.levelControls.contrast.reset(options)
+        this.record('resetContrast', undefined, options, { previous, undo: previous !== undefined && (undoOptions => this.setContrastLevel(previous, undoOptions)) })
+    }
+    // Reconcile in the background. Triggers that arrive while one is running are coalesced into one more pass.
+    scheduleReconcile(reason) {
+        if (!this.desiredState) return
+        if (this.reconciling) {
+            this.reconcileAgain = reason
+            return
+        }
+        this.reconciling = this.reconcile({ reason }).catch(error => {
+            this.emit('reconcileError', { reason, error })
+        }).finally(() => {
+            const again = this.reconcileAgain
+            this.reconciling = this.reconcileAgain = null
+            if (again && this.connected) this.scheduleReconcile(again)
+        })
     }
     // Delta can be 1 or -1
-    setBrightness(delta) {
-        return this.send(...delta > 0 ? FUNCTIONS.BRIGHTNESS_UP : FUNCTIONS.BRIGHTNESS_DOWN)
+    async setBrightness(delta, options) {
+        const previous = this.levelControls.brightness.level
+        await this.send(...delta > 0 ? FUNCTIONS.BRIGHTNESS_UP : FUNCTIONS.BRIGHTNESS_DOWN, options)
+        this.levelControls.brightness.step(delta > 0 ? 1 : -1)
+        this.record('setBrightness', delta > 0 ? 1 : -1, options, { previous, undo: undoOptions => this.setBrightness(-delta, undoOptions) })
     }
-    setCooler(enabled) {
-        return this.send(...enabled ? FUNCTIONS.COOLER_ON : FUNCTIONS.COOLER_OFF)
+    // Step brightness to an absolute level. Rapid calls are coalesced.
+    async setBrightnessLevel(level, options) {
+        const previous = this.levelControls.brightness.level
+        await this.levelControls.brightness.set(level, options)
+        this.record('setBrightnessLevel', level, options, { previous, undo: undoOptions => this.setBrightnessLevel(previous, undoOptions) })
+    }
+    async setCooler(enabled, options) {
+        const previous = this.shadow.cooler
+        await this.send(...enabled ? FUNCTIONS.COOLER_ON : FUNCTIONS.COOLER_OFF, options)
+        this.updateState({ cooler: Boolean(enabled) })
+        this.record('setCooler', Boolean(enabled), options, { previous, reason: 'Cycling the cooler needs a cool-down, see CoolerManager' })
     }
     // Delta can be 1 or -1
-    setContrast(delta) {
-        return this.send(...delta > 0 ? FUNCTIONS.CONTRAST_UP : FUNCTIONS.CONTRAST_DOWN)
+    async setContrast(delta, options) {
+        const previous = this.levelControls.contrast.level
+        await this.send(...delta > 0 ? FUNCTIONS.CONTRAST_UP : FUNCTIONS.CONTRAST_DOWN, options)
+        this.levelControls.contrast.step(delta > 0 ? 1 : -1)
+        this.record('setContrast', delta > 0 ? 1 : -1, options, { previous, undo: undoOptions => this.setContrast(-delta, undoOptions) })
+    }
+    // Step contrast to an absolute level. Rapid calls are coalesced.
+    async setContrastLevel(level, options) {
+        const previous = this.levelControls.contrast.level
+        await this.levelControls.contrast.set(level, options)
+        this.record('setContrastLevel', level, options, { previous, undo: undoOptions => this.setContrastLevel(previous, undoOptions) })
+    }
+    // Declare the settings the camera should have, in the same shape as a profile. They are
+    // restored after reconnects and power cycles. Resolves once they are applied, pass null to stop.
+    setDesiredState(state, options) {
+        this.desiredState = state && { ...validateProfile(state) }
+        if (!this.desiredState || !this.connected) return Promise.resolve([])
+        return this.reconcile({ reason: 'desiredState', ...options })
     }
     // Set automatic gain control
-    async setAGC(mode) {
+    // The camera only reports whether AGC is on, so the mode replaced is the last one known
+    async setAGC(mode, options) {
         validate(mode, AGC_MODES)
+        const previous = this.shadow.agc
         if (mode === 'off') {
-            return this.send(...FUNCTIONS.AGC_OFF)
+            await this.send(...FUNCTIONS.AGC_OFF, options)
+            this.updateState({ agc: mode, agcEnabled: false })
+        } else {
+            await this.send(...FUNCTIONS.AGC_ON, options)
+            this.updateState({ agcEnabled: true })
+            await this.send(...FUNCTIONS.AGC_SET, AGC_MODES[mode], options)
+            this.updateState({ agc: mode })
         }
-        await this.send(...FUNCTIONS.AGC_ON)
-        return this.send(...FUNCTIONS.AGC_SET, AGC_MODES[mode])
+        this.record('setAGC', mode, options, { previous, undo: previous && (undoOptions => this.setAGC(previous, undoOptions)) })
+    }
+    // Declare known brightness/contrast levels, E.G. { brightness: 128 }
+    setLevelReference({ brightness, contrast }) {
+        for (const [name, level] of Object.entries({ brightness, contrast })) {
+            if (level === undefined) continue
+            if (!Number.isInteger(level) || level < 0 || level > this.levelRange) throw new ValidationError(`The ${name} level must be an integer between 0 and ${this.levelRange}, got ${level}`, { value: level })
+            this.levelControls[name].level = level
+        }
+    }
+    // Freeze (true) or unfreeze (false) the image. The camera only toggles, so the current state must be known.
+    setFreezeFrame(frozen, options) {
+        return this.setToggle('frozen', frozen, FUNCTIONS.FREEZE_FRAME, options)
+    }
+    // Show the image inverted (true) or upright (false). The camera only toggles, so the current state must be known.
+    setInverted(inverted, options) {
+        return this.setToggle('inverted', inverted, FUNCTIONS.INVERT_IMAGE, options)
     }
     // Set Intensity Transform Table
     // mode can be linear, inverse, s-curve, or two-cycle
-    setITT(mode) {
+    setITT(mode, options) {
         validate(mode, ITT_MODES)
-        return this.send(...FUNCTIONS.ITT_SET, ITT_MODES[mode])
+        return this.setMode('itt', mode, options)
+    }
+    // Declare the state of toggle-only settings, E.G. { frozen: false } after checking the video output
+    setStateReference({ frozen, inverted }) {
+        const changes = {}
+        for (const [field, value] of Object.entries({ frozen, inverted })) {
+            if (value === undefined) continue
+            if (typeof value !== 'boolean') throw new ValidationError(`The ${field} state must be true or false, got ${value}`, { value })
+            changes[field] = value
+        }
+        this.updateState(changes)
+    }
+    // Send a toggle command only if the setting isn't in the requested state already
+    setToggle(field, value, codes, options) {
+        if (typeof value !== 'boolean') return Promise.reject(new ValidationError(`The ${field} state must be true or false, got ${value}`, { value }))
+        if (this.shadow[field] === undefined) return Promise.reject(new UnknownStateError(`The ${field} state is unknown. Declare it with setStateReference() first.`, { field }))
+        if (this.shadow[field] === value) return Promise.resolve()
+        return this.send(...codes, options).then(() => {
+            this.updateState({ [field]: value })
+            const action = field === 'frozen' ? 'setFreezeFrame' : 'setInverted'
+            this.record(action, value, options, { previous: !value, undo: undoOptions => this[action](!value, undoOptions) })
+        })
     }
     // Set Look-Up Table
     // mode can be black-and-white, color or sepia
-    setLUT(mode) {
+    setLUT(mode, options) {
         validate(mode, LUT_MODES)
-        return this.send(...FUNCTIONS.LUT_SET, LUT_MODES[mode])
+        return this.setMode('lut', mode, options)
+    }
+    // Set a mode that can be read back, reading the mode it replaces first when journaling
+    async setMode(field, mode, options) {
+        const { modes, get, set, codes } = READBACK_MODES[field]
+        const previous = this.journalSize ? await this[get](options) : this.shadow[field]
+        await this.send(...FUNCTIONS[codes], modes[mode], options)
+        this.updateState({ [field]: mode })
+        this.record(set, mode, options, { previous, undo: undoOptions => this[set](previous, undoOptions) })
     }
     // Set Non-Uniformity Correction
     // mode can be cold, mid, warm or hot
-    setNUC(mode) {
+    setNUC(mode, options) {
         validate(mode, NUC_MODES)
-        return this.send(...FUNCTIONS.NUC_SET, NUC_MODES[mode])
-    }
-    async send(command, ...args) {
-        const packet = createPacket(this.messageNumber, command, ...args)
-        const confirmation = once(this, `confirm/${this.messageNumber++}`, { signal: AbortSignal.timeout(this.responseTimeout) })
-        this.controller.send(packet)
-        try {
-            const confirmed = await confirmation
-            return confirmed[0]
-        } catch (e) {
-            throw e.cause
+        return this.setMode('nuc', mode, options)
+    }
+    // Queue a command with 16 bit data words. Resolves with the response data once confirmed.
+    // Command options can be passed as a trailing object.
+    send(command, subCommand = 0, ...args) {
+        const [data, options] = splitOptions(args)
+        return this.enqueue(command, subCommand, data, options).then(reply => reply.response)
+    }
+    // Send any function/subfunction with 16 bit data words. Resolves with the complete reply frame.
+    // Command options can be passed as a trailing object.
+    sendRaw(command, subCommand = 0, ...args) {
+        const [data, options] = splitOptions(args)
+        if ([command, subCommand].some(byte => !Number.isInteger(byte) || byte < 0 || byte > 0xff)) {
+            return Promise.reject(new ValidationError(`Function and subfunction must be integers between 0 and 255, got [${command}, ${subCommand}]`, { value: [command, subCommand] }))
+        }
+        if (data.some(word => !Number.isInteger(word) || word < 0 || word > 0xffff)) {
+            return Promise.reject(new ValidationError(`Data must be integers between 0 and 65535, got [${data.join(', ')}]`, { value: data }))
         }
+        return this.enqueue(command, subCommand, data, options).then(reply => reply.frame)
     }
-    toggleColorBar(enabled) {
-        return this.send(...enabled ? FUNCTIONS.COLOR_BAR_ON : FUNCTIONS.COLOR_BAR_OFF)
+    async toggleColorBar(enabled, options) {
+        const previous = this.shadow.colorBar
+        await this.send(...enabled ? FUNCTIONS.COLOR_BAR_ON : FUNCTIONS.COLOR_BAR_OFF, options)
+        this.updateState({ colorBar: Boolean(enabled) })
+        this.record('toggleColorBar', Boolean(enabled), options, { previous, undo: previous !== undefined && (undoOptions => this.toggleColorBar(previous, undoOptions)) })
     }
-    toggleFreezeFrame() {
-        return this.send(...FUNCTIONS.FREEZE_FRAME)
+    // Freeze or unfreeze the image, see setFreezeFrame() to set it either way
+    async toggleFreezeFrame(options) {
+        const previous = this.shadow.frozen
+        await this.send(...FUNCTIONS.FREEZE_FRAME, options)
+        if (this.shadow.frozen !== undefined) this.updateState({ frozen: !this.shadow.frozen })
+        this.record('toggleFreezeFrame', undefined, options, { previous, undo: undoOptions => this.toggleFreezeFrame(undoOptions) })
     }
     // On-screen display on/off
-    toggleOSD(enabled) {
-        return this.send(...enabled ? FUNCTIONS.OSD_ON : FUNCTIONS.OSD_OFF)
+    async toggleOSD(enabled, options) {
+        const previous = this.shadow.osd
+        await this.send(...enabled ? FUNCTIONS.OSD_ON : FUNCTIONS.OSD_OFF, options)
+        this.updateState({ osd: Boolean(enabled) })
+        this.record('toggleOSD', Boolean(enabled), options, { previous, undo: previous !== undefined && (undoOptions => this.toggleOSD(previous, undoOptions)) })
+    }
+    // Last known settings and levels, undefined where unknown
+    get state() {
+        return {
+            connected: this.connected,
+            ...Object.fromEntries(STATE_FIELDS.map(field => [field, this.shadow[field]])),
+            ...this.levels
+        }
+    }
+    // Put a single attempt of a command on the wire and wait for its confirmation
+    transmit({ command, subCommand, data, timeout, signal }) {
+        if (!this.connected) return Promise.reject(new NotConnectedError())
+        const messageID = this.nextMessageID()
+        const packet = encode(messageID, command, subCommand, data)
+        const trace = { camera: this, function: functionName(command, subCommand), command, subCommand, messageID, data }
+        const started = performance.now()
+        if (commandStart.hasSubscribers) commandStart.publish(trace)
+        return new Promise((resolve, reject) => {
+            const done = outcome => {
+                this.pending.delete(messageID)
+                clearTimeout(timer)
+                signal?.removeEventListener('abort', onAbort)
+                if (commandEnd.hasSubscribers) commandEnd.publish({ ...trace, latency: performance.now() - started, ...outcome })
+            }
+            const fail = error => {
+                done({ error })
+                reject(error)
+            }
+            const onAbort = () => fail(signal.reason)
+            // A ref'd timer, unlike AbortSignal.timeout(), keeps the process alive until the command times out
+            const timer = setTimeout(() => {
+                const name = trace.function ?? `${command}/${subCommand}`
+                fail(new ResponseTimeoutError(`No response to ${name} (message ${messageID}) within the ${timeout}ms timeout`, {
+                    functionName: trace.function,
+                    command,
+                    subCommand,
+                    messageID,
+                    timeout
+                }))
+            }, timeout)
+            this.pending.set(messageID, {
+                resolve: reply => {
+                    done({ response: reply.response })
+                    resolve(reply)
+                },
+                reject: fail
+            })
+            signal?.addEventListener('abort', onAbort, { once: true })
+            this.emit('traffic', { direction: 'out', data: packet })
+            this.logger.debug({ direction: 'out', ...describeFrame(packet) }, 'Sent frame')
+            try {
+                this.controller.send(packet)
+            } catch (e) {
+                fail(e)
+            }
+        })
+    }
+    // Reverse the last `n` journaled commands that haven't been undone, newest first. Resolves to their entries.
+    // Nothing is reversed if any of them can't be.
+    async undo(n = 1, options = {}) {
+        if (!Number.isInteger(n) || n < 1) throw new ValidationError(`Number of commands to undo must be a positive integer, got ${n}`, { value: n })
+        // Commands that reversed others aren't undone themselves
+        const entries = this.entries.filter(entry => !entry.undone && !entry.undoes).slice(-n).reverse()
+        if (entries.length < n) throw new NotUndoableError(`Only ${entries.length} journaled command(s) left to undo`)
+        const blocked = entries.find(entry => !entry.undoable)
+        if (blocked) throw new NotUndoableError(`Can't undo ${blocked.action}: ${blocked.reason}`, { entry: { ...blocked } })
+        const undone = []
+        for (const entry of entries) {
+            await this.reversals.get(entry.id)({ ...options, [UNDOES]: entry.id })
+            entry.undone = true
+            this.reversals.delete(entry.id)
+            undone.push({ ...entry })
+        }
+        return undone
+    }
+    // Record settings that changed, emitting stateChange with the fields that differ
+    updateState(changes) {
+        const changed = Object.fromEntries(Object.entries(changes).filter(([field, value]) => this.shadow[field] !== value))
+        if (!Object.keys(changed).length) return
+        Object.assign(this.shadow, changed)
+        this.emit('stateChange', { changes: changed, state: this.state })
     }
 }
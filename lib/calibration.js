@@ -0,0 +1,145 @@
+import { EventEmitter, once } from 'node:events'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { NUC_MODES } from '../index.js'
+import { BusyError, CameraError, CancelledError, ResponseTimeoutError, ValidationError } from './errors.js'
+
+const CALIBRATION_TIME = 5000 // ms, after which a camera that never went quiet is taken to be done
+const COMPLETION_TIMEOUT = 60000 // ms
+const POLL_INTERVAL = 500 // ms
+const POLL_TIMEOUT = 500 // ms
+
+const CALIBRATIONS = {
+    1: 'run1PointCalibration',
+    2: 'run2PointCalibration'
+}
+
+export class PreconditionError extends CameraError {
+    constructor(message, options) {
+        super(message, 'PRECONDITION_FAILED', options)
+        this.name = 'PreconditionError'
+    }
+}
+
+// Steps to calibrate every NUC table, pausing to swap the blackbody target between tables
+export function allNUCTables(points = 2) {
+    return Object.keys(NUC_MODES).map(nuc => ({
+        nuc,
+        points,
+        prompt: `Place the ${nuc} blackbody target in front of the camera`
+    }))
+}
+
+// Runs calibrations with precondition checks, progress events and completion detection
+export class CalibrationWorkflow extends EventEmitter {
+    // `cooler`: A CoolerManager to check the cooler has cooled down, instead of the camera's last known cooler state
+    constructor(camera, { duration = CALIBRATION_TIME, timeout = COMPLETION_TIMEOUT, pollInterval = POLL_INTERVAL, pollTimeout = POLL_TIMEOUT, confirm, cooler } = {}) {
+        super()
+        this.camera = camera
+        this.cooler = cooler
+        this.duration = duration
+        this.timeout = timeout
+        this.pollInterval = pollInterval
+        this.pollTimeout = pollTimeout
+        this.confirm = confirm
+        this.running = false
+    }
+    // Throw a PreconditionError unless the camera is ready to calibrate
+    async checkPreconditions({ signal } = {}) {
+        this.progress({ stage: 'preconditions', message: 'Checking camera is responsive' })
+        try {
+            await this.camera.getStatus({ timeout: this.pollTimeout, retries: 1, signal })
+        } catch (e) {
+            if (signal?.aborted) throw e
+            throw new PreconditionError(`Camera is not responding: ${e.message}`, { cause: e })
+        }
+        // Without a cooler manager, fall back to the cooler state last set through the camera
+        let state = this.cooler?.state ?? 'unknown'
+        if (state === 'unknown') state = { true: 'ready', false: 'off' }[this.camera.shadow.cooler] ?? 'unknown'
+        if (state === 'cooling' || state === 'cycling') {
+            throw new PreconditionError('The cryo cooler has not cooled down yet. Wait for it to be ready before calibrating.')
+        }
+        if (state === 'off') {
+            throw new PreconditionError('The cryo cooler is off. Turn it on and let it cool down before calibrating.')
+        }
+        // Unknown after connecting or reconnecting, until the cooler is set
+        if (state === 'unknown') {
+            this.progress({ stage: 'preconditions', warning: true, message: 'Cooler state is unknown, assuming it is on and cooled down' })
+        }
+    }
+    progress(details) {
+        this.emit('progress', details)
+    }
+    // Wait for the operator before continuing, through `confirm` or a call to `resume()`
+    async pause(step, { signal } = {}) {
+        this.progress({ stage: 'pause', step, message: step.prompt })
+        if (this.confirm) {
+            if (await this.confirm(step) === false) throw new CancelledError('Calibration cancelled by operator')
+            return
+        }
+        const resumed = once(this, 'resume', { signal })
+        this.emit('pause', step)
+        await resumed
+    }
+    // Continue a sequence that is paused
+    resume() {
+        this.emit('resume')
+    }
+    // Run a single calibration. Sets the NUC table first when `nuc` is given.
+    run({ points = 2, nuc, signal } = {}) {
+        return this.runSequence([{ points, nuc }], { signal })
+    }
+    // Run a list of calibration steps: { points, nuc?, prompt? }
+    async runSequence(steps, { signal } = {}) {
+        for (const step of steps) {
+            if (!CALIBRATIONS[step.points]) throw new ValidationError(`Calibration points must be 1 or 2, got ${step.points}`, { value: step.points, allowed: [1, 2] })
+            if (step.nuc !== undefined && !(step.nuc in NUC_MODES)) throw new ValidationError(`Option "${step.nuc}" is invalid. Available options are [${Object.keys(NUC_MODES).map(v => `"${v}"`).join(', ')}]`, { value: step.nuc, allowed: Object.keys(NUC_MODES) })
+        }
+        if (this.running) throw new BusyError('A calibration is already running')
+        this.running = true
+        const results = []
+        try {
+            await this.checkPreconditions({ signal })
+            for (const [index, step] of steps.entries()) {
+                const context = { step, index, total: steps.length }
+                if (step.prompt) await this.pause(step, { signal })
+                if (step.nuc) {
+                    this.progress({ ...context, stage: 'nuc', message: `Selecting ${step.nuc} NUC table` })
+                    await this.camera.setNUC(step.nuc, { signal })
+                }
+                const started = Date.now()
+                this.progress({ ...context, stage: 'calibrating', message: `Starting ${step.points}-point calibration` })
+                await this.camera[CALIBRATIONS[step.points]]({ signal })
+                this.progress({ ...context, stage: 'waiting', message: 'Waiting for calibration to finish' })
+                const completion = await this.waitForCompletion({ signal })
+                if (completion === 'assumed') {
+                    this.progress({ ...context, stage: 'waiting', warning: true, message: `Camera kept answering, assuming the calibration finished after ${this.duration}ms` })
+                }
+                const result = { ...step, duration: Date.now() - started, completion }
+                results.push(result)
+                this.progress({ ...context, stage: 'complete', message: `${step.points}-point calibration complete`, result })
+            }
+        } finally {
+            this.running = false
+        }
+        return results
+    }
+    // Poll the camera until it answers again after going quiet, resolving to `detected`. The camera gives no other
+    // signal, so one that never goes quiet is taken to be done after `duration`, resolving to `assumed`.
+    async waitForCompletion({ signal } = {}) {
+        const started = Date.now()
+        const deadline = started + this.timeout
+        let silent = false
+        for (;;) {
+            try {
+                await this.camera.getStatus({ timeout: this.pollTimeout, retries: 0, signal })
+                if (silent) return 'detected'
+                if (Date.now() - started >= this.duration) return 'assumed'
+            } catch (e) {
+                if (signal?.aborted) throw e
+                silent = true
+                if (Date.now() >= deadline) throw new ResponseTimeoutError(`Calibration did not finish within ${this.timeout}ms`, { timeout: this.timeout, cause: e })
+            }
+            await sleep(this.pollInterval, undefined, { signal })
+        }
+    }
+}
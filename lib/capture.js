@@ -0,0 +1,137 @@
+import { EventEmitter } from 'node:events'
+import { createWriteStream } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { finished } from 'node:stream/promises'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { formatFrame, FRAME_START, FrameDecoder, functionName } from './protocol.js'
+import { Simulator } from './simulator.js'
+
+// Data block of a frame, as hex
+function dataOf(frame) {
+    return frame.subarray(10, 10 + frame.readUInt16LE(8)).toString('hex')
+}
+
+// Records every frame a camera sends and receives as JSON Lines
+export class TrafficCapture extends EventEmitter {
+    constructor(camera, { path, stream } = {}) {
+        super()
+        this.camera = camera
+        this.path = path
+        this.stream = stream
+        this.ownStream = !stream
+        this.started = null
+        this.count = 0
+        this.onTraffic = this.traffic.bind(this)
+
+        // Incoming bytes are split into frames separately, so discarded bytes are recorded too
+        this.decoder = new FrameDecoder()
+        this.decoder.on('frame', ({ frame }) => this.record('in', frame))
+        this.decoder.on('protocolError', ({ reason, message, data }) => {
+            // A bad checksum or data count only consumes the first byte, the rest is scanned again
+            const consumed = reason === 'resync' ? data : data.subarray(0, 1)
+            this.record('in', consumed, { error: reason, message, ...reason !== 'resync' && { frame: data.toString('hex') } })
+        })
+    }
+    record(direction, data, details = {}) {
+        const time = new Date()
+        const entry = { time: time.toISOString(), elapsed: time - this.started, direction }
+        const frame = details.frame ? Buffer.from(details.frame, 'hex') : data
+        if (frame.length >= 10 && frame.subarray(0, 3).equals(FRAME_START)) {
+            Object.assign(entry, { function: functionName(frame[3], frame[4]), command: frame[3], subCommand: frame[4], messageID: frame[5] })
+        }
+        Object.assign(entry, details, { data: data.toString('hex') })
+        this.stream.write(`${JSON.stringify(entry)}\n`)
+        this.count++
+        this.emit('record', entry)
+    }
+    start() {
+        if (this.started) return
+        this.stream ??= createWriteStream(this.path, { flags: 'a' })
+        this.started = new Date()
+        this.camera.on('traffic', this.onTraffic)
+    }
+    // Stop recording. Resolves once a file opened by the capture has been flushed.
+    async stop() {
+        if (!this.started) return
+        this.camera.off('traffic', this.onTraffic)
+        this.started = null
+        if (this.ownStream) {
+            this.stream.end()
+            await finished(this.stream)
+            this.stream = undefined
+        }
+    }
+    traffic({ direction, data }) {
+        if (direction === 'out') {
+            this.record('out', data)
+        } else {
+            this.decoder.push(data)
+        }
+    }
+}
+
+// Read a capture file into a list of records
+export async function readCapture(path) {
+    const lines = (await readFile(path, 'utf8')).split('\n')
+    return lines.filter(line => line.trim()).map(line => JSON.parse(line))
+}
+
+// Describe a record on one line, followed by the annotated frame
+export function formatRecord(record) {
+    const arrow = record.direction === 'out' ? '>>>' : '<<<'
+    const name = record.function ?? (record.command === undefined ? '' : `${record.command}/${record.subCommand}`)
+    const summary = [record.time, arrow, record.error ? `${record.error}:` : name, record.error ? record.message : `#${record.messageID}`].join(' ')
+    if (record.error === 'resync') return `${summary}\n    ${record.data.match(/../g).join(' ')}`
+    const frame = Buffer.from(record.frame ?? record.data, 'hex')
+    return `${summary}\n${formatFrame(frame).replace(/^/gm, '    ')}`
+}
+
+// Feed the incoming side of a capture to a camera, as if it came from the wire
+//  * speed: Playback speed relative to the recording, or Infinity to skip delays (default: 1)
+export async function replay(camera, records, { speed = 1, signal } = {}) {
+    let previous
+    for (const record of records) {
+        if (record.direction !== 'in') continue
+        if (previous !== undefined && Number.isFinite(speed)) {
+            await sleep(Math.max(0, record.elapsed - previous) / speed, undefined, { signal })
+        }
+        previous = record.elapsed
+        camera.receive(Buffer.from(record.data, 'hex'))
+    }
+}
+
+// Fake camera that answers each command with the reply recorded for it, in the order they were recorded
+export class ReplayServer extends Simulator {
+    constructor(records, options) {
+        super(options)
+        // Recorded outcomes by "<function>/<subfunction>/<data>"
+        this.script = new Map()
+        const sent = new Map()
+        for (const record of records) {
+            const frame = Buffer.from(record.frame ?? record.data, 'hex')
+            if (record.direction === 'out') {
+                const key = `${frame[3]}/${frame[4]}/${dataOf(frame)}`
+                const outcome = {}
+                if (!this.script.has(key)) this.script.set(key, [])
+                this.script.get(key).push(outcome)
+                sent.set(frame[5], outcome)
+            } else if (!record.error || record.error === 'checksum') {
+                const outcome = sent.get(frame[5])
+                if (!outcome) continue
+                sent.delete(frame[5])
+                outcome.response = dataOf(frame)
+                outcome.corrupt = Boolean(record.error)
+            }
+        }
+    }
+    // Replay the next recorded outcome. The last one repeats once the recording runs out.
+    execute(functionCode, subFunctionCode, dataBlock) {
+        const outcomes = this.script.get(`${functionCode}/${subFunctionCode}/${dataBlock.toString('hex')}`)
+        if (!outcomes) return
+        const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0]
+        // Commands that went unanswered in the recording stay unanswered
+        if (outcome.response === undefined) return
+        if (outcome.corrupt) this.corruptNext()
+        return Buffer.from(outcome.response, 'hex')
+    }
+}
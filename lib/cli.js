@@ -0,0 +1,366 @@
+import { Console } from 'node:console'
+import { once } from 'node:events'
+import { parseArgs } from 'node:util'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { Camera } from '../index.js'
+import { TrafficCapture } from './capture.js'
+import { createConsoleLogger } from './diagnostics.js'
+import { loadMacros, MacroRunner } from './macros.js'
+import { MetricsExporter } from './metrics.js'
+import { formatReport, FunctionScanner, parseRange } from './scanner.js'
+import { ControlPanel } from './tui.js'
+
+export const USAGE = `Usage: amber-radiance [options] <command> [arguments]
+
+Control an Amber Radiance 1 camera.
+
+Commands:
+  status                          Show cooler/power cycle counters
+  nuc [get | set <mode>]          Get or set non-uniformity correction (cold, mid, warm, hot)
+  lut [get | set <mode>]          Get or set look-up table (black-and-white, color, sepia)
+  itt [get | set <mode>]          Get or set intensity transform table (linear, inverse, s-curve, two-cycle)
+  agc [get | set <mode>]          Get whether AGC is on, or set it (full, midsize, center, horizon, off)
+  brightness <+N | -N>            Step brightness up or down N times
+  contrast <+N | -N>              Step contrast up or down N times
+  cooler <on | off>               Turn the cryo cooler on or off
+  calibrate <1pt | 2pt>           Run a calibration for the current NUC mode
+  osd <on | off>                  Show or hide the on-screen display
+  colorbar <on | off>             Show or hide the color bar
+  freeze                          Toggle freeze frame
+  invert                          Toggle image inversion
+  watch                           Poll and print status until interrupted
+  scan                            Probe function/subfunction codes for undocumented commands
+  macro <name>                    Run a macro from the --macros file
+  schedule                        Run macros on their schedules and triggers until interrupted
+  tui                             Interactive control panel for live adjustment (q to quit)
+  metrics                         Serve Prometheus metrics on --listen until interrupted
+
+Options:
+  --transport <name>              How to reach the camera: tcp, serial or rfc2217 (default: tcp)
+  --host <host>                   Host or IP address (tcp and rfc2217)
+  --port <port>                   TCP port, or serial device path ("auto" to find the camera)
+  --baud-rate <rate>              Serial line speed (serial and rfc2217, default: 38400)
+  --json                          Print results as JSON
+  --timeout <ms>                  Time to wait for each reply (default: 1000)
+  --retries <n>                   Times to resend a command without a reply (default: 0)
+  --interval <ms>                 Time between polls in watch, schedule, tui and metrics mode (default: 1000)
+  --count <n>                     Stop watch or schedule mode after n polls
+  --functions <codes>             Function codes to scan, E.G. 2,5-7 (default: 0-15)
+  --subfunctions <codes>          Subfunction codes to scan (default: 0-15)
+  --allow <fn/subfn>              Also scan a code with side effects (repeatable, E.G. 4/1)
+  --skip-known                    Don't scan codes that are already known
+  --capture <file>                Append all traffic to a JSON Lines file (see amber-radiance-replay)
+  --macros <file>                 JSON or YAML file of macros (macro, schedule)
+  --listen <port>                 HTTP port to serve /metrics on (default: 9464)
+  -v, --verbose                   Print debug logs
+  -h, --help                      Show this help`
+
+const OPTIONS = {
+    transport: { type: 'string', default: 'tcp' },
+    host: { type: 'string' },
+    port: { type: 'string' },
+    'baud-rate': { type: 'string' },
+    json: { type: 'boolean', default: false },
+    timeout: { type: 'string' },
+    retries: { type: 'string' },
+    interval: { type: 'string', default: '1000' },
+    count: { type: 'string' },
+    capture: { type: 'string' },
+    macros: { type: 'string' },
+    listen: { type: 'string', default: '9464' },
+    functions: { type: 'string', default: '0-15' },
+    subfunctions: { type: 'string', default: '0-15' },
+    allow: { type: 'string', multiple: true, default: [] },
+    'skip-known': { type: 'boolean', default: false },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+}
+
+const SWITCHES = { on: true, off: false }
+const CALIBRATIONS = { '1pt': 'run1PointCalibration', '2pt': 'run2PointCalibration' }
+
+class UsageError extends Error {}
+
+// Get a mode when no value is given, otherwise set it. Accepts `get`, `set <mode>` or just `<mode>`.
+async function getOrSet(camera, name, getter, setter, [action, value]) {
+    if (action === 'set') {
+        if (value === undefined) throw new UsageError(`Missing mode for "${name} set"`)
+        action = value
+    }
+    if (action === undefined || action === 'get') {
+        return { [name]: await camera[getter]() }
+    }
+    await camera[setter](action)
+    return { [name]: action }
+}
+
+function parseSteps(name, value) {
+    const steps = Number(value)
+    if (!Number.isInteger(steps) || steps === 0) throw new UsageError(`"${name}" expects a non-zero number of steps, E.G. +3 or -3`)
+    return steps
+}
+
+function parseSwitch(name, value) {
+    if (!(value in SWITCHES)) throw new UsageError(`"${name}" expects "on" or "off"`)
+    return SWITCHES[value]
+}
+
+async function step(camera, name, method, value) {
+    const steps = parseSteps(name, value)
+    await camera[method](steps)
+    return { [name]: steps > 0 ? `+${steps}` : `${steps}` }
+}
+
+const COMMANDS = {
+    status: camera => camera.getStatus(),
+    nuc: (camera, args) => getOrSet(camera, 'nuc', 'getNUC', 'setNUC', args),
+    lut: (camera, args) => getOrSet(camera, 'lut', 'getLUT', 'setLUT', args),
+    itt: (camera, args) => getOrSet(camera, 'itt', 'getITT', 'setITT', args),
+    agc: (camera, args) => getOrSet(camera, 'agc', 'getAGC', 'setAGC', args),
+    brightness: (camera, [value]) => step(camera, 'brightness', 'adjustBrightness', value),
+    contrast: (camera, [value]) => step(camera, 'contrast', 'adjustContrast', value),
+    async cooler(camera, [value]) {
+        await camera.setCooler(parseSwitch('cooler', value))
+        return { cooler: value }
+    },
+    async calibrate(camera, [points]) {
+        if (!(points in CALIBRATIONS)) throw new UsageError('"calibrate" expects "1pt" or "2pt"')
+        await camera[CALIBRATIONS[points]]()
+        return { calibration: points }
+    },
+    async osd(camera, [value]) {
+        await camera.toggleOSD(parseSwitch('osd', value))
+        return { osd: value }
+    },
+    async colorbar(camera, [value]) {
+        await camera.toggleColorBar(parseSwitch('colorbar', value))
+        return { colorBar: value }
+    },
+    async freeze(camera) {
+        await camera.toggleFreezeFrame()
+        return { freezeFrame: 'toggled' }
+    },
+    async invert(camera) {
+        await camera.invertImage()
+        return { invert: 'toggled' }
+    }
+}
+
+function format(result, json) {
+    if (json) return JSON.stringify(result)
+    return Object.entries(result).map(([key, value]) => `${key}: ${value}`).join('\n')
+}
+
+// Poll status until aborted or `count` polls have been printed
+async function watch(camera, { interval, count, json, stdout, signal }) {
+    for (let i = 0; !count || i < count; i++) {
+        if (i) {
+            try {
+                await sleep(interval, undefined, { signal })
+            } catch {
+                return
+            }
+        }
+        const status = await camera.getStatus()
+        const line = json ? format({ time: new Date().toISOString(), ...status }, true) : `${new Date().toISOString()} ${format(status).replaceAll('\n', ', ')}`
+        stdout.write(`${line}\n`)
+    }
+}
+
+function formatStep(step) {
+    let outcome = step.ok ? 'ok' : `failed: ${step.error.message}`
+    if (step.skipped) outcome = 'skipped'
+    return `${step.macro} step ${step.index + 1} ${step.action} ${JSON.stringify(step.value)}: ${outcome} (${step.duration} ms)`
+}
+
+// Step results with errors as their messages, for JSON output
+function serializeResult({ error, ...result }) {
+    return { ...result, ...error && { error: error.message }, steps: result.steps.map(({ error, ...step }) => ({ ...step, ...error && { error: error.message } })) }
+}
+
+// Print each step and the result of every macro the runner runs
+function reportMacros(runner, { json, stdout }) {
+    if (json) {
+        runner.on('macroEnd', result => stdout.write(`${JSON.stringify(serializeResult(result))}\n`))
+        return
+    }
+    runner.on('step', step => stdout.write(`${formatStep(step)}\n`))
+    runner.on('macroEnd', result => {
+        let outcome = result.ok ? 'done' : `failed: ${result.error.message}`
+        if (result.aborted) outcome = 'aborted'
+        stdout.write(`${result.macro} (${result.trigger}): ${outcome} in ${result.duration} ms\n`)
+    })
+}
+
+// Run one macro. Resolves to whether it succeeded.
+async function macro(runner, name, { json, stdout, signal }) {
+    if (!name) throw new UsageError('"macro" expects the name of a macro')
+    if (!runner.names.includes(name)) throw new UsageError(`Unknown macro "${name}", expected one of: ${runner.names.join(', ')}`)
+    reportMacros(runner, { json, stdout })
+    const result = await runner.run(name, { signal })
+    return result.ok
+}
+
+// Run macros on their schedules and triggers, polling status so power cycles are noticed.
+// The runner is started before connecting so that connect triggers run.
+async function schedule(camera, runner, { interval, count, stderr, signal }) {
+    signal?.addEventListener('abort', () => runner.abort(signal.reason), { once: true })
+    for (let i = 0; !count || i < count; i++) {
+        try {
+            await camera.getStatus({ signal })
+        } catch (e) {
+            if (signal?.aborted) break
+            stderr.write(`Error: ${e.message}\n`)
+        }
+        try {
+            await sleep(interval, undefined, { signal })
+        } catch {
+            break
+        }
+    }
+    runner.stop()
+    // Let a macro that's already running finish, unless interrupted
+    await runner.queue
+}
+
+// Run the control panel until the user quits or it's interrupted
+async function tui(camera, { interval, stdin, stdout, signal }) {
+    const panel = new ControlPanel(camera, { input: stdin, output: stdout, statusInterval: interval })
+    const exited = once(panel, 'exit')
+    signal?.addEventListener('abort', () => panel.stop(), { once: true })
+    await panel.start()
+    await exited
+}
+
+// Serve Prometheus metrics until interrupted
+async function metrics(camera, { port, interval, stderr, signal = new AbortController().signal }) {
+    const exporter = new MetricsExporter(camera, { interval })
+    await exporter.listen(port)
+    stderr.write(`Serving metrics on http://localhost:${exporter.address().port}/metrics\n`)
+    try {
+        if (!signal.aborted) await once(signal, 'abort')
+    } finally {
+        await exporter.close()
+    }
+}
+
+// Probe codes, printing each reply as it comes in and the report at the end
+async function scan(camera, { values, json, stdout, stderr, signal }) {
+    let functions, subFunctions
+    try {
+        functions = parseRange(values.functions)
+        subFunctions = parseRange(values.subfunctions)
+    } catch (e) {
+        throw new UsageError(e.message, { cause: e })
+    }
+    const scanner = new FunctionScanner(camera, {
+        functions,
+        subFunctions,
+        allow: values.allow.map(code => code.split('/').map(Number)),
+        skipKnown: values['skip-known'],
+        ...values.timeout && { timeout: Number(values.timeout) }
+    })
+    scanner.on('probe', result => {
+        if (result.result !== 'none') stderr.write(`${result.function}/${result.subFunction}: ${result.result}\n`)
+    })
+    const report = await scanner.scan({ signal })
+    if (json) {
+        stdout.write(`${JSON.stringify(report)}\n`)
+        return
+    }
+    const replies = report.results.filter(result => result.result !== 'none').length
+    stdout.write(`// Probed ${report.results.length} codes (${report.skipped.length} skipped), ${replies} replied\n${formatReport(report)}\n`)
+}
+
+// Run the command line tool. Resolves to the process exit code.
+export async function main(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, signal } = {}) {
+    let parsed
+    try {
+        // Negative steps (E.G. `brightness -3`) would otherwise be parsed as short options
+        const args = argv.map(arg => /^-\d+$/.test(arg) ? ` ${arg}` : arg)
+        parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true })
+    } catch (e) {
+        stderr.write(`${e.message}\n\n${USAGE}\n`)
+        return 2
+    }
+
+    const { values, positionals } = parsed
+    const [command, ...args] = positionals.map(arg => arg.trim())
+    if (values.help || !command) {
+        stdout.write(`${USAGE}\n`)
+        return values.help ? 0 : 2
+    }
+    if (!['watch', 'scan', 'macro', 'schedule', 'tui', 'metrics'].includes(command) && !COMMANDS[command]) {
+        stderr.write(`Unknown command "${command}"\n\n${USAGE}\n`)
+        return 2
+    }
+    if (!['tcp', 'serial', 'rfc2217'].includes(values.transport)) {
+        stderr.write(`Unknown transport "${values.transport}"\n`)
+        return 2
+    }
+    if (!values.port) {
+        stderr.write('Missing --port\n')
+        return 2
+    }
+
+    let macros
+    if (command === 'macro' || command === 'schedule') {
+        if (!values.macros) {
+            stderr.write(`Missing --macros for "${command}"\n`)
+            return 2
+        }
+        try {
+            macros = await loadMacros(values.macros)
+        } catch (e) {
+            stderr.write(`Error: ${e.message}\n`)
+            return 2
+        }
+    }
+
+    const { transport, host, json, verbose } = values
+    const camera = new Camera({
+        transport,
+        host,
+        port: transport === 'serial' ? values.port : Number(values.port),
+        ...values['baud-rate'] && { baudRate: Number(values['baud-rate']) },
+        verbose,
+        // Logs go to stderr so they don't mix with command output
+        logger: createConsoleLogger({ level: verbose ? 'debug' : 'error', console: new Console({ stdout: stderr, stderr }) }),
+        ...values.timeout && { responseTimeout: Number(values.timeout) },
+        ...values.retries && { retries: Number(values.retries) }
+    })
+    const capture = values.capture && new TrafficCapture(camera, { path: values.capture })
+    const runner = macros && new MacroRunner(camera, macros)
+    try {
+        capture?.start()
+        if (command === 'schedule') {
+            reportMacros(runner, { json, stdout })
+            runner.start()
+        }
+        await camera.connect()
+        if (command === 'watch') {
+            await watch(camera, { interval: Number(values.interval), count: Number(values.count ?? 0), json, stdout, signal })
+        } else if (command === 'scan') {
+            await scan(camera, { values, json, stdout, stderr, signal })
+        } else if (command === 'macro') {
+            if (!await macro(runner, args[0], { json, stdout, signal })) return 1
+        } else if (command === 'schedule') {
+            await schedule(camera, runner, { interval: Number(values.interval), count: Number(values.count ?? 0), stderr, signal })
+        } else if (command === 'tui') {
+            await tui(camera, { interval: Number(values.interval), stdin, stdout, signal })
+        } else if (command === 'metrics') {
+            await metrics(camera, { port: Number(values.listen), interval: Number(values.interval), stderr, signal })
+        } else {
+            const result = await COMMANDS[command](camera, args)
+            stdout.write(`${format(result, json)}\n`)
+        }
+        return 0
+    } catch (e) {
+        stderr.write(json ? `${JSON.stringify({ error: e.message, code: e.code })}\n` : `Error: ${e.message}\n`)
+        return e instanceof UsageError ? 2 : 1
+    } finally {
+        runner?.stop()
+        await camera.close()
+        await capture?.stop()
+    }
+}
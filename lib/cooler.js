@@ -0,0 +1,137 @@
+import { EventEmitter, on } from 'node:events'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { CameraError, InvalidStateError } from './errors.js'
+
+const COOL_DOWN_TIME = 7 * 60 * 1000 // ms, time the detector takes to reach operating temperature
+const MIN_OFF_TIME = 60 * 1000 // ms, let the Stirling cooler settle before starting it again
+// Timers fire against the event loop's cached clock, which can lag Date.now() by a few milliseconds, so a wait
+// of exactly the off-time can still look short
+const LOCKOUT_TOLERANCE = 10 // ms
+
+// Thrown when turning the cooler on would cut its minimum off-time short
+export class CoolerLockoutError extends CameraError {
+    constructor(remaining) {
+        super(`The cryo cooler was turned off recently. Wait ${Math.ceil(remaining / 1000)}s before turning it on again.`, 'COOLER_LOCKOUT')
+        this.name = 'CoolerLockoutError'
+        this.remaining = remaining
+    }
+}
+
+// Turn the raw counters from `camera.getStatus()` into cooler wear statistics. `coolerTime` is passed on as is,
+// as its unit is unknown: the value read from a camera looks like a timestamp rather than a run time.
+export function decodeCoolerStatus({ numCoolerCycles, numPowerCycles, coolerTime }) {
+    return {
+        cycles: numCoolerCycles,
+        powerCycles: numPowerCycles,
+        coolerTime
+    }
+}
+
+// Tracks the cryo cooler through off -> cooling -> ready and protects it from short cycling
+export class CoolerManager extends EventEmitter {
+    constructor(camera, { coolDownTime = COOL_DOWN_TIME, minOffTime = MIN_OFF_TIME } = {}) {
+        super()
+        this.camera = camera
+        this.coolDownTime = coolDownTime
+        this.minOffTime = minOffTime
+
+        this.state = { true: 'ready', false: 'off' }[camera.shadow.cooler] ?? 'unknown'
+        this.offSince = null
+        this.coolingSince = null
+        this.timer = null
+        // Follow cooler changes made through the camera directly, not just through the manager
+        this.onStateChange = ({ changes }) => {
+            if (changes.cooler === true && (this.state === 'off' || this.state === 'unknown')) this.startCooling()
+            if (changes.cooler === false && this.state !== 'off' && this.state !== 'cycling') this.stopped()
+        }
+        camera.on('stateChange', this.onStateChange)
+    }
+    // Stop following the camera and cancel the cool-down timer
+    close() {
+        this.stop()
+        this.camera.off('stateChange', this.onStateChange)
+    }
+    // Turn the cooler off, wait out the minimum off-time and turn it back on
+    async cycle({ signal, ...options } = {}) {
+        const previous = this.state
+        let stopped = false
+        this.transition('cycling')
+        try {
+            await this.camera.setCooler(false, { signal, ...options })
+            stopped = true
+            this.stop()
+            this.offSince = Date.now()
+            this.coolingSince = null
+            await sleep(this.minOffTime, undefined, { signal })
+        } catch (e) {
+            this.transition(stopped ? 'off' : previous)
+            throw e
+        }
+        // The off-time has been waited out, even if the timer fired a millisecond early
+        return this.turnOn({ ...options, signal, force: true })
+    }
+    // Time in milliseconds before the cooler may be turned on again
+    get lockoutRemaining() {
+        if (!this.offSince) return 0
+        const remaining = this.minOffTime - (Date.now() - this.offSince)
+        return remaining > LOCKOUT_TOLERANCE ? remaining : 0
+    }
+    // Time in milliseconds until the cooler is expected to be ready
+    get readyIn() {
+        if (this.state === 'ready') return 0
+        if (this.state !== 'cooling') return undefined
+        return Math.max(0, this.coolDownTime - (Date.now() - this.coolingSince))
+    }
+    // Poll the camera's status and decode the cooler counters
+    async getStatistics(options) {
+        return decodeCoolerStatus(await this.camera.getStatus(options))
+    }
+    // Start the cool-down timer, unless already cooling
+    startCooling() {
+        if (this.state === 'cooling') return
+        this.coolingSince = Date.now()
+        this.transition('cooling')
+        this.timer = setTimeout(() => this.transition('ready'), this.coolDownTime)
+        this.timer.unref()
+    }
+    stop() {
+        clearTimeout(this.timer)
+    }
+    // Start the off-time, unless already off
+    stopped() {
+        if (this.state === 'off') return
+        this.stop()
+        this.offSince = Date.now()
+        this.coolingSince = null
+        this.transition('off')
+    }
+    transition(state) {
+        if (state === this.state) return
+        const previous = this.state
+        this.state = state
+        this.emit('stateChange', { state, previous })
+        if (state === 'ready') this.emit('ready')
+    }
+    async turnOff(options) {
+        if (this.state === 'off') return
+        await this.camera.setCooler(false, options)
+        this.stopped()
+    }
+    // Turn the cooler on unless it is still within its minimum off-time. Pass `force` to override.
+    async turnOn({ force = false, ...options } = {}) {
+        if (this.state === 'cooling' || this.state === 'ready') return
+        const remaining = this.lockoutRemaining
+        if (remaining && !force) throw new CoolerLockoutError(remaining)
+        await this.camera.setCooler(true, options)
+        this.startCooling()
+    }
+    // Resolve once the cooler is ready. Rejects if the cooler is, or gets turned, off.
+    async waitUntilReady({ signal } = {}) {
+        if (this.state === 'ready') return
+        if (this.state !== 'cooling' && this.state !== 'cycling') throw new InvalidStateError(`The cryo cooler is ${this.state}`, { state: this.state })
+        for await (const [{ state }] of on(this, 'stateChange', { signal })) {
+            if (state === 'ready') return
+            if (state !== 'cooling' && state !== 'cycling') throw new InvalidStateError(`The cryo cooler is ${state}`, { state })
+        }
+    }
+}
@@ -0,0 +1,30 @@
+import diagnosticsChannel from 'node:diagnostics_channel'
+import { ValidationError } from './errors.js'
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+// Published for every attempt at a command, see README for the message fields
+export const COMMAND_START_CHANNEL = 'amber-radiance:command:start'
+export const COMMAND_END_CHANNEL = 'amber-radiance:command:end'
+
+export const commandStart = diagnosticsChannel.channel(COMMAND_START_CHANNEL)
+export const commandEnd = diagnosticsChannel.channel(COMMAND_END_CHANNEL)
+
+// Stands in for disabled levels
+function noop() { /* Dropped */ }
+
+// Logger that writes to a console, taking pino-style (fields, message) arguments.
+// Levels below `level` are dropped, `silent` drops everything.
+export function createConsoleLogger({ level = 'info', console: output = console } = {}) {
+    const allowed = [...LOG_LEVELS, 'silent']
+    if (!allowed.includes(level)) throw new ValidationError(`Unknown log level "${level}". Available levels are [${allowed.map(v => `"${v}"`).join(', ')}]`, { value: level, allowed })
+    const minimum = level === 'silent' ? LOG_LEVELS.length : LOG_LEVELS.indexOf(level)
+    const logger = {}
+    for (const [index, name] of LOG_LEVELS.entries()) {
+        logger[name] = index < minimum ? noop : (fields, message) => {
+            if (typeof fields === 'string') return output[name](fields)
+            output[name](message, fields)
+        }
+    }
+    return logger
+}
@@ -0,0 +1,24 @@
+import { readdir } from 'node:fs/promises'
+import { join } from 'node:path'
+
+// Baud rates to probe, most likely first. The camera ships at 38400.
+export const BAUD_RATES = [38400, 9600, 19200, 57600, 115200]
+
+// Device names of USB-serial adapters on Linux and MacOS. Built-in ports (ttyS*) are left out, as most machines
+// have dozens of them and probing each one at every baud rate takes a long time.
+export const SERIAL_PORT_PATTERNS = [/^ttyUSB\d+$/, /^ttyACM\d+$/, /^cu\.usbserial/, /^cu\.usbmodem/]
+
+// List candidate serial devices, sorted by name. Resolves to an empty list where there is no `directory`, E.G. Windows.
+export async function listSerialPorts({ directory = '/dev', patterns = SERIAL_PORT_PATTERNS } = {}) {
+    let names
+    try {
+        names = await readdir(directory)
+    } catch (e) {
+        if (e.code === 'ENOENT') return []
+        throw e
+    }
+    return names
+        .filter(name => patterns.some(pattern => pattern.test(name)))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(name => join(directory, name))
+}
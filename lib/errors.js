@@ -0,0 +1,123 @@
+// Base class for errors raised by this library. `code` is stable and safe to match on.
+export class CameraError extends Error {
+    constructor(message, code, options) {
+        super(message, options)
+        this.name = 'CameraError'
+        this.code = code
+    }
+}
+
+// Invalid input from the caller, E.G. an unknown mode
+export class ValidationError extends CameraError {
+    constructor(message, { value, allowed, ...options } = {}) {
+        super(message, 'INVALID_ARGUMENT', options)
+        this.name = 'ValidationError'
+        this.value = value
+        this.allowed = allowed
+    }
+}
+
+// The camera did not reply in time
+export class ResponseTimeoutError extends CameraError {
+    constructor(message, { functionName, command, subCommand, messageID, timeout, ...options } = {}) {
+        super(message, 'RESPONSE_TIMEOUT', options)
+        this.name = 'ResponseTimeoutError'
+        this.functionName = functionName
+        this.command = command
+        this.subCommand = subCommand
+        this.messageID = messageID
+        this.timeout = timeout
+    }
+}
+
+// A frame arrived with a checksum that doesn't match its contents
+export class ChecksumError extends CameraError {
+    constructor(message, { messageID, frame, expected, actual, ...options } = {}) {
+        super(message, 'CHECKSUM_MISMATCH', options)
+        this.name = 'ChecksumError'
+        this.messageID = messageID
+        this.frame = frame
+        this.expected = expected
+        this.actual = actual
+    }
+}
+
+// Something is in a state that doesn't allow the operation, E.G. waiting for a cooler that is off
+export class InvalidStateError extends CameraError {
+    constructor(message, { state, ...options } = {}) {
+        super(message, 'INVALID_STATE', options)
+        this.name = 'InvalidStateError'
+        this.state = state
+    }
+}
+
+// A command was sent before connecting or after closing the connection
+export class NotConnectedError extends CameraError {
+    constructor(message = 'Not connected to the camera', options) {
+        super(message, 'NOT_CONNECTED', options)
+        this.name = 'NotConnectedError'
+    }
+}
+
+// An operation that runs one at a time is already running, E.G. a calibration
+export class BusyError extends CameraError {
+    constructor(message, options) {
+        super(message, 'BUSY', options)
+        this.name = 'BusyError'
+    }
+}
+
+// The operator cancelled an operation, E.G. at a calibration prompt
+export class CancelledError extends CameraError {
+    constructor(message, options) {
+        super(message, 'CANCELLED', options)
+        this.name = 'CancelledError'
+    }
+}
+
+// Discovery found no camera on any of the serial ports it tried
+export class CameraNotFoundError extends CameraError {
+    constructor(message, { ports, baudRates, ...options } = {}) {
+        super(message, 'CAMERA_NOT_FOUND', options)
+        this.name = 'CameraNotFoundError'
+        this.ports = ports
+        this.baudRates = baudRates
+    }
+}
+
+// A stored item doesn't exist, E.G. a profile
+export class NotFoundError extends CameraError {
+    constructor(message, { item, ...options } = {}) {
+        super(message, 'NOT_FOUND', options)
+        this.name = 'NotFoundError'
+        this.item = item
+    }
+}
+
+// undo() reached a journal entry that can't be reversed, E.G. a calibration
+export class NotUndoableError extends CameraError {
+    constructor(message, { entry, ...options } = {}) {
+        super(message, 'NOT_UNDOABLE', options)
+        this.name = 'NotUndoableError'
+        this.entry = entry
+    }
+}
+
+// A command depends on a setting that can't be read back and hasn't been declared, E.G. the freeze frame state
+export class UnknownStateError extends CameraError {
+    constructor(message, { field, ...options } = {}) {
+        super(message, 'UNKNOWN_STATE', options)
+        this.name = 'UnknownStateError'
+        this.field = field
+    }
+}
+
+// The camera replied with data this library doesn't understand
+export class UnsupportedResponseError extends CameraError {
+    constructor(message, { functionName, response, ...options } = {}) {
+        super(message, 'UNSUPPORTED_RESPONSE', options)
+        this.name = 'UnsupportedResponseError'
+        this.functionName = functionName
+        this.response = response
+    }
+}
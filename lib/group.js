@@ -0,0 +1,148 @@
+import { EventEmitter } from 'node:events'
+import { Camera } from '../index.js'
+import { ResponseTimeoutError, ValidationError } from './errors.js'
+import { CameraMonitor } from './monitor.js'
+
+const CONNECT_TIMEOUT = 5000 // ms
+
+// Camera methods that can be broadcast, by the number of arguments before their options
+const BROADCAST_METHODS = {
+    applyProfile: 1,
+    captureProfile: 0,
+    getAGC: 0,
+    getITT: 0,
+    getLUT: 0,
+    getNUC: 0,
+    getStatus: 0,
+    invertImage: 0,
+    setAGC: 1,
+    setCooler: 1,
+    setFreezeFrame: 1,
+    setInverted: 1,
+    setITT: 1,
+    setLUT: 1,
+    setNUC: 1,
+    toggleColorBar: 1,
+    toggleFreezeFrame: 0,
+    toggleOSD: 1
+}
+
+const MONITOR_EVENTS = ['powerCycled', 'coolerCycled', 'modeChange', 'unresponsive', 'recovered']
+
+// Owns several cameras and runs commands on all of them at once
+export class CameraGroup extends EventEmitter {
+    // `cameras` maps names to Camera instances or Camera constructor options
+    // `connectTimeout`: Time in milliseconds to wait for each camera to connect
+    constructor(cameras = {}, { timeout, connectTimeout = CONNECT_TIMEOUT } = {}) {
+        super()
+        this.timeout = timeout
+        this.connectTimeout = connectTimeout
+        this.cameras = new Map()
+        this.monitors = new Map()
+        for (const [name, camera] of Object.entries(cameras)) {
+            this.add(name, camera)
+        }
+    }
+    add(name, camera) {
+        if (this.cameras.has(name)) throw new ValidationError(`A camera named "${name}" is already in the group`, { value: name })
+        this.cameras.set(name, camera instanceof Camera ? camera : new Camera(camera))
+        return this.cameras.get(name)
+    }
+    // Run a camera method on every camera in parallel. One camera failing or timing out doesn't hold up the others.
+    broadcast(method, args = [], options = {}) {
+        const commandOptions = { ...this.timeout && { timeout: this.timeout }, ...options }
+        return this.runAll(method, camera => camera[method](...args, commandOptions))
+    }
+    async close() {
+        this.stopMonitoring()
+        await Promise.allSettled([...this.cameras.values()].map(camera => camera.close()))
+    }
+    // Connect every camera, resolving to per-camera results like broadcast(). A camera that doesn't connect within
+    // `timeout` fails with a ResponseTimeoutError, but keeps trying in the background.
+    connect({ timeout = this.connectTimeout, signal } = {}) {
+        return this.runAll('connect', camera => new Promise((resolve, reject) => {
+            const abort = signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout)
+            const onAbort = () => reject(signal?.aborted ? signal.reason : new ResponseTimeoutError(`Not connected within ${timeout}ms`, { functionName: 'connect', timeout, cause: abort.reason }))
+            if (abort.aborted) return onAbort()
+            abort.addEventListener('abort', onAbort, { once: true })
+            camera.connect().then(resolve, reject).finally(() => abort.removeEventListener('abort', onAbort))
+        }))
+    }
+    get(name) {
+        return this.cameras.get(name)
+    }
+    // Latest monitored health of every camera, with a count of responsive ones
+    get health() {
+        const cameras = {}
+        for (const [name, monitor] of this.monitors) {
+            const { latest, lastResponse } = monitor
+            cameras[name] = {
+                responsive: latest ? latest.responsive : undefined,
+                lastResponse: lastResponse?.time,
+                status: lastResponse?.status
+            }
+        }
+        const states = Object.values(cameras)
+        return {
+            cameras,
+            total: this.cameras.size,
+            responsive: states.filter(state => state.responsive).length,
+            unresponsive: states.filter(state => state.responsive === false).length
+        }
+    }
+    get names() {
+        return [...this.cameras.keys()]
+    }
+    remove(name) {
+        this.monitors.get(name)?.stop()
+        this.monitors.delete(name)
+        const camera = this.cameras.get(name)
+        this.cameras.delete(name)
+        return camera
+    }
+    // Run an action on every camera in parallel, collecting per-camera results
+    async runAll(method, action) {
+        const entries = await Promise.all([...this.cameras].map(async([name, camera]) => {
+            const started = Date.now()
+            try {
+                const value = await action(camera)
+                return [name, { ok: true, value, duration: Date.now() - started }]
+            } catch (error) {
+                return [name, { ok: false, error, duration: Date.now() - started }]
+            }
+        }))
+        const results = Object.fromEntries(entries)
+        const failed = entries.filter(([, result]) => !result.ok).map(([name]) => name)
+        if (failed.length) this.emit('partialFailure', { method, failed, results })
+        return {
+            ok: !failed.length,
+            results,
+            succeeded: entries.filter(([, result]) => result.ok).map(([name]) => name),
+            failed
+        }
+    }
+    // Poll every camera in the background, re-emitting monitor events with a `camera` name
+    startMonitoring(options) {
+        for (const [name, camera] of this.cameras) {
+            if (this.monitors.has(name)) continue
+            const monitor = new CameraMonitor(camera, options)
+            for (const event of MONITOR_EVENTS) {
+                monitor.on(event, details => this.emit(event, { camera: name, ...details }))
+            }
+            this.monitors.set(name, monitor)
+            monitor.start()
+        }
+    }
+    stopMonitoring() {
+        for (const monitor of this.monitors.values()) {
+            monitor.stop()
+        }
+        this.monitors.clear()
+    }
+}
+
+for (const [method, arity] of Object.entries(BROADCAST_METHODS)) {
+    CameraGroup.prototype[method] = function(...args) {
+        return this.broadcast(method, args.slice(0, arity), args[arity])
+    }
+}
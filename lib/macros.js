@@ -0,0 +1,367 @@
+import { EventEmitter } from 'node:events'
+import { readFile } from 'node:fs/promises'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { validateProfile } from '../index.js'
+import { CalibrationWorkflow } from './calibration.js'
+import { ValidationError } from './errors.js'
+import { MODES } from './protocol.js'
+import { isBoolean, isSteps, oneOf } from './validators.js'
+
+const MINUTE = 60 * 1000 // ms
+// A schedule that doesn't match within this time never will, E.G. February 30th
+const SCHEDULE_HORIZON = 5 * 366 * 24 * 60 * MINUTE
+// Timers can't wait longer than about 24.8 days, so longer waits are split up
+const MAX_TIMER = 24 * 24 * 60 * MINUTE
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: MINUTE, h: 60 * MINUTE }
+
+// Camera events that can trigger a macro
+export const MACRO_TRIGGERS = ['connect', 'powerCycled']
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+]
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Parse a duration in milliseconds, or with a unit, E.G. "30s", "5m" or "1.5h"
+export function parseDuration(value) {
+    if (Number.isFinite(value) && value >= 0) return value
+    const [, amount, unit] = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)$/) ?? []
+    if (!amount) throw new ValidationError(`Invalid duration "${value}". Use milliseconds or a number with ms, s, m or h, E.G. "30s"`, { value })
+    return Number(amount) * DURATION_UNITS[unit]
+}
+
+// Values of one cron field, E.G. "*/15", "1-5" or "0,30"
+function parseCronField(field, { name, min, max }, expression) {
+    const values = new Set()
+    for (const part of field.split(',')) {
+        const [range, every] = part.split('/')
+        const step = every === undefined ? 1 : Number(every)
+        const [start, to] = range === '*' ? [min, max] : range.split('-').map(Number)
+        // "5/15" runs from 5 to the end of the range
+        const end = to ?? (every === undefined ? start : max)
+        if (![start, end, step].every(Number.isInteger) || start < min || end > max || start > end || step < 1) {
+            throw new ValidationError(`Invalid ${name} "${part}" in schedule "${expression}"`, { value: expression })
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value)
+        }
+    }
+    return values
+}
+
+// Cron-like schedule: minute, hour, day of month, month and day of week, in local time
+export class CronSchedule {
+    constructor(expression) {
+        this.expression = expression
+        const fields = String(CRON_ALIASES[expression] ?? expression).trim().split(/\s+/)
+        if (fields.length !== 5) {
+            throw new ValidationError(`Invalid schedule "${expression}". Expected 5 fields (minute hour day-of-month month day-of-week) or one of [${Object.keys(CRON_ALIASES).join(', ')}]`, { value: expression })
+        }
+        const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index], expression))
+        // Sunday is 0 or 7
+        if (weekdays.has(7)) weekdays.add(0)
+        Object.assign(this, { minutes, hours, days, months, weekdays })
+        // When both day fields are restricted, either one matching is enough
+        this.eitherDay = fields[2] !== '*' && fields[4] !== '*'
+    }
+    matchesDay(date) {
+        const day = this.days.has(date.getDate())
+        const weekday = this.weekdays.has(date.getDay())
+        return this.eitherDay ? day || weekday : day && weekday
+    }
+    // First matching minute after `after`, or null if there is none
+    next(after = new Date()) {
+        const date = new Date(after)
+        date.setSeconds(0, 0)
+        date.setMinutes(date.getMinutes() + 1)
+        const limit = after.getTime() + SCHEDULE_HORIZON
+        while (date.getTime() <= limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1)
+                date.setHours(0, 0)
+            } else if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1)
+                date.setHours(0, 0)
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0)
+            } else if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1)
+            } else {
+                return date
+            }
+        }
+        return null
+    }
+}
+
+// Step and condition value parsers, besides the shared ones. Each returns the value to use or throws a ValidationError.
+// Mode tables are looked up when parsing, so modes added with defineModes() are accepted.
+function mode(table) {
+    return value => oneOf(MODES[table])(value, `${table} mode`)
+}
+
+function isPoints(value) {
+    const points = { 1: 1, 2: 2, '1-point': 1, '2-point': 2 }[value]
+    if (!points) throw new ValidationError(`"calibrate" must be "1-point" or "2-point", got ${JSON.stringify(value)}`, { value, allowed: ['1-point', '2-point'] })
+    return points
+}
+
+function isName(value) {
+    if (typeof value !== 'string' || !value) throw new ValidationError(`"macro" must be the name of another macro, got ${JSON.stringify(value)}`, { value })
+    return value
+}
+
+// Step actions, by the key that names them in a step
+//  * parse: Validates and converts the value, when the macros are loaded
+//  * run: Performs the step
+const ACTIONS = {
+    nuc: { parse: mode('nuc'), run: ({ camera, value, signal }) => camera.setNUC(value, { signal }) },
+    lut: { parse: mode('lut'), run: ({ camera, value, signal }) => camera.setLUT(value, { signal }) },
+    itt: { parse: mode('itt'), run: ({ camera, value, signal }) => camera.setITT(value, { signal }) },
+    agc: { parse: mode('agc'), run: ({ camera, value, signal }) => camera.setAGC(value, { signal }) },
+    osd: { parse: isBoolean, run: ({ camera, value, signal }) => camera.toggleOSD(value, { signal }) },
+    colorBar: { parse: isBoolean, run: ({ camera, value, signal }) => camera.toggleColorBar(value, { signal }) },
+    cooler: { parse: isBoolean, run: ({ camera, value, signal }) => camera.setCooler(value, { signal }) },
+    freezeFrame: { parse: isBoolean, run: ({ camera, value, signal }) => camera.setFreezeFrame(value, { signal }) },
+    inverted: { parse: isBoolean, run: ({ camera, value, signal }) => camera.setInverted(value, { signal }) },
+    brightness: { parse: isSteps, run: ({ camera, value, signal }) => camera.adjustBrightness(value, { signal }) },
+    contrast: { parse: isSteps, run: ({ camera, value, signal }) => camera.adjustContrast(value, { signal }) },
+    profile: { parse: validateProfile, run: ({ camera, value, signal }) => camera.applyProfile(value, { signal }) },
+    // Waits for the calibration to finish, see CalibrationWorkflow
+    calibrate: { parse: isPoints, run: ({ camera, value, signal, runner }) => new CalibrationWorkflow(camera, runner.calibration).run({ points: value, signal }) },
+    wait: { parse: parseDuration, run: ({ value, signal }) => sleep(value, undefined, { signal }) },
+    macro: { parse: isName, run: ({ value, signal, runner, results }) => runner.runSteps(value, { signal, results }) }
+}
+
+// Settings a step can depend on with `if`. Readable modes are read back, the rest come from camera.state.
+const CONDITIONS = {
+    nuc: { parse: mode('nuc'), read: (camera, options) => camera.getNUC(options) },
+    lut: { parse: mode('lut'), read: (camera, options) => camera.getLUT(options) },
+    itt: { parse: mode('itt'), read: (camera, options) => camera.getITT(options) },
+    agc: { parse: mode('agc'), read: (camera, options) => camera.getAGCMode(options) },
+    agcEnabled: { parse: isBoolean, read: (camera, options) => camera.getAGC(options) },
+    osd: { parse: isBoolean, read: camera => camera.state.osd },
+    colorBar: { parse: isBoolean, read: camera => camera.state.colorBar },
+    cooler: { parse: isBoolean, read: camera => camera.state.cooler },
+    frozen: { parse: isBoolean, read: camera => camera.state.frozen },
+    inverted: { parse: isBoolean, read: camera => camera.state.inverted }
+}
+
+// Prefix validation errors with where they happened
+function within(where, parse) {
+    try {
+        return parse()
+    } catch (e) {
+        if (!(e instanceof ValidationError)) throw e
+        throw new ValidationError(`${where}: ${e.message}`, { value: e.value, allowed: e.allowed, cause: e })
+    }
+}
+
+function compileCondition(condition) {
+    if (!isObject(condition)) throw new ValidationError('"if" must be an object of settings, E.G. { "nuc": "cold" }', { value: condition })
+    return Object.entries(condition).map(([field, value]) => {
+        if (!CONDITIONS[field]) throw new ValidationError(`Unknown condition "${field}". Available conditions are [${Object.keys(CONDITIONS).map(v => `"${v}"`).join(', ')}]`, { value: field, allowed: Object.keys(CONDITIONS) })
+        return [field, CONDITIONS[field].parse(value, field)]
+    })
+}
+
+function compileStep(step) {
+    if (!isObject(step)) throw new ValidationError('Steps must be objects, E.G. { "nuc": "cold" }', { value: step })
+    const { if: condition, continueOnError = false, ...rest } = step
+    const actions = Object.keys(rest)
+    if (actions.length !== 1 || !ACTIONS[actions[0]]) {
+        throw new ValidationError(`Steps must have exactly one action. Available actions are [${Object.keys(ACTIONS).map(v => `"${v}"`).join(', ')}]`, { value: actions, allowed: Object.keys(ACTIONS) })
+    }
+    const [action] = actions
+    return {
+        action,
+        value: ACTIONS[action].parse(rest[action], action),
+        condition: condition === undefined ? [] : compileCondition(condition),
+        continueOnError: isBoolean(continueOnError, 'continueOnError')
+    }
+}
+
+function toList(value) {
+    if (value === undefined) return []
+    return Array.isArray(value) ? value : [value]
+}
+
+// Validate macros and convert their steps, schedules and triggers for running
+function compileMacros(macros) {
+    if (!isObject(macros)) throw new ValidationError('Macros must be an object of macro definitions by name', { value: macros })
+    const compiled = {}
+    for (const [name, macro] of Object.entries(macros)) {
+        if (!isObject(macro) || !Array.isArray(macro.steps)) throw new ValidationError(`Macro "${name}" must be an object with a list of steps`, { value: macro })
+        compiled[name] = {
+            description: macro.description,
+            steps: macro.steps.map((step, index) => within(`Macro "${name}" step ${index + 1}`, () => compileStep(step))),
+            schedules: toList(macro.schedule).map(expression => within(`Macro "${name}"`, () => {
+                const schedule = new CronSchedule(expression)
+                if (!schedule.next()) throw new ValidationError(`Schedule "${expression}" never runs`, { value: expression })
+                return schedule
+            })),
+            triggers: toList(macro.on).map(trigger => within(`Macro "${name}"`, () => {
+                if (!MACRO_TRIGGERS.includes(trigger)) throw new ValidationError(`Unknown trigger "${trigger}". Available triggers are [${MACRO_TRIGGERS.map(v => `"${v}"`).join(', ')}]`, { value: trigger, allowed: MACRO_TRIGGERS })
+                return trigger
+            }))
+        }
+    }
+    // Macros can run other macros, but not themselves
+    const visit = (name, path) => {
+        for (const step of compiled[name].steps.filter(step => step.action === 'macro')) {
+            if (!compiled[step.value]) throw new ValidationError(`Macro "${name}" runs unknown macro "${step.value}"`, { value: step.value, allowed: Object.keys(compiled) })
+            if (path.includes(step.value)) throw new ValidationError(`Macro "${name}" runs itself through [${[...path, step.value].join(' > ')}]`, { value: step.value })
+            visit(step.value, [...path, step.value])
+        }
+    }
+    for (const name in compiled) {
+        visit(name, [name])
+    }
+    return compiled
+}
+
+// Validate macro definitions, throwing a ValidationError that points at the first invalid step
+export function validateMacros(macros) {
+    compileMacros(macros)
+    return macros
+}
+
+// Read and validate macros from a JSON or YAML (.yaml, .yml) file
+export async function loadMacros(path) {
+    const text = await readFile(path, 'utf8')
+    if (!/\.ya?ml$/i.test(path)) return validateMacros(JSON.parse(text))
+    // yaml is an optional dependency, only loaded for YAML files
+    const { parse } = await import('yaml')
+    return validateMacros(parse(text))
+}
+
+// Runs macros on demand, on a schedule or when the camera connects or power cycles. One macro runs at a time.
+export class MacroRunner extends EventEmitter {
+    // `calibration`: Options for the CalibrationWorkflow of calibrate steps
+    constructor(camera, macros, { calibration = {} } = {}) {
+        super()
+        this.camera = camera
+        this.macros = compileMacros(macros)
+        this.calibration = calibration
+        this.queue = Promise.resolve()
+        this.controllers = new Set()
+        this.timers = new Set()
+        this.listeners = []
+    }
+    // Abort the running macro and any waiting to run
+    abort(reason) {
+        for (const controller of this.controllers) {
+            controller.abort(reason)
+        }
+    }
+    // Whether the camera currently matches a step condition
+    async check(condition, { signal }) {
+        for (const [field, expected] of condition) {
+            if (await CONDITIONS[field].read(this.camera, { signal }) !== expected) return false
+        }
+        return true
+    }
+    async execute(name, { signal, trigger }) {
+        const started = new Date()
+        const steps = []
+        this.emit('macroStart', { macro: name, trigger })
+        let error
+        try {
+            await this.runSteps(name, { signal, results: steps })
+        } catch (e) {
+            error = e
+        }
+        const result = { macro: name, trigger, ok: !error, aborted: signal.aborted, started, duration: Date.now() - started, steps, ...error && { error } }
+        this.emit('macroEnd', result)
+        return result
+    }
+    get names() {
+        return Object.keys(this.macros)
+    }
+    // Run a macro once any macro already running is done. Resolves to the result with per-step results,
+    // also when a step fails or the macro is aborted.
+    run(name, { signal, trigger = 'manual' } = {}) {
+        if (!this.macros[name]) return Promise.reject(new ValidationError(`Unknown macro "${name}"`, { value: name, allowed: this.names }))
+        const controller = new AbortController()
+        this.controllers.add(controller)
+        const abort = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+        const result = this.queue.then(() => this.execute(name, { signal: abort, trigger })).finally(() => {
+            this.controllers.delete(controller)
+        })
+        this.queue = result
+        return result
+    }
+    async runSteps(name, { signal, results }) {
+        for (const [index, step] of this.macros[name].steps.entries()) {
+            signal.throwIfAborted()
+            const result = { macro: name, index, action: step.action, value: step.value }
+            const started = Date.now()
+            try {
+                if (await this.check(step.condition, { signal })) {
+                    await ACTIONS[step.action].run({ camera: this.camera, value: step.value, signal, runner: this, results })
+                } else {
+                    result.skipped = true
+                }
+                result.ok = true
+            } catch (e) {
+                Object.assign(result, { ok: false, error: e })
+            }
+            result.duration = Date.now() - started
+            results.push(result)
+            this.emit('step', result)
+            if (!result.ok && (!step.continueOnError || signal.aborted)) throw result.error
+        }
+    }
+    // Wait for the next time a schedule matches, then run the macro
+    schedule(name, schedule) {
+        const next = schedule.next()
+        if (!next) return
+        const timer = setTimeout(() => {
+            this.timers.delete(timer)
+            if (Date.now() >= next.getTime()) this.run(name, { trigger: 'schedule' })
+            this.schedule(name, schedule)
+        }, Math.min(next - Date.now(), MAX_TIMER))
+        this.timers.add(timer)
+    }
+    // Start running macros on their schedules and camera events
+    start() {
+        if (this.listeners.length || this.timers.size) return
+        for (const [name, macro] of Object.entries(this.macros)) {
+            for (const schedule of macro.schedules) {
+                this.schedule(name, schedule)
+            }
+            for (const trigger of macro.triggers) {
+                const listener = () => this.run(name, { trigger })
+                this.camera.on(trigger, listener)
+                this.listeners.push([trigger, listener])
+            }
+        }
+    }
+    // Stop scheduling macros. Macros already running are left to finish, see abort().
+    stop() {
+        for (const timer of this.timers) {
+            clearTimeout(timer)
+        }
+        this.timers.clear()
+        for (const [trigger, listener] of this.listeners.splice(0)) {
+            this.camera.off(trigger, listener)
+        }
+    }
+}
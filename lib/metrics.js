@@ -0,0 +1,211 @@
+import diagnosticsChannel from 'node:diagnostics_channel'
+import { createServer } from 'node:http'
+import { Camera } from '../index.js'
+import { COMMAND_END_CHANNEL } from './diagnostics.js'
+import { ResponseTimeoutError, ValidationError } from './errors.js'
+import { CameraGroup } from './group.js'
+import { CameraMonitor } from './monitor.js'
+import { MODES } from './protocol.js'
+
+const PREFIX = 'amber'
+const POLL_INTERVAL = 5000 // ms
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5] // seconds
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+// Settings exported as enum-style gauges, one series per mode
+const MODE_SETTINGS = ['nuc', 'lut', 'itt', 'agc']
+
+function escapeLabel(value) {
+    return String(value).replaceAll('\\', '\\\\').replaceAll('\n', '\\n').replaceAll('"', '\\"')
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels)
+    if (!entries.length) return ''
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+// Render metric families in the Prometheus text exposition format. Each family has a `name`, `help`, `type`
+// and `samples` of { name?, labels, value }, where `name` is a suffix such as `_bucket`.
+export function formatMetrics(families) {
+    const lines = []
+    for (const { name, help, type, samples } of families) {
+        lines.push(`# HELP ${name} ${help.replaceAll('\\', '\\\\').replaceAll('\n', '\\n')}`, `# TYPE ${name} ${type}`)
+        for (const sample of samples) {
+            lines.push(`${name}${sample.name ?? ''}${formatLabels(sample.labels)} ${sample.value}`)
+        }
+    }
+    return `${lines.join('\n')}\n`
+}
+
+// Add to a counter's series, keyed on its label values
+function increment(series, labels, amount = 1) {
+    const key = JSON.stringify(labels)
+    series.set(key, { labels, value: (series.get(key)?.value ?? 0) + amount })
+}
+
+// Collects command, protocol and status metrics for cameras and serves them to Prometheus on /metrics
+export class MetricsExporter {
+    // `cameras` is a Camera, an object mapping IDs to cameras, or a CameraGroup. IDs become the `camera` label.
+    constructor(cameras, { prefix = PREFIX, interval = POLL_INTERVAL, timeout, buckets = LATENCY_BUCKETS } = {}) {
+        if (cameras instanceof Camera) {
+            this.cameras = new Map([['default', cameras]])
+        } else {
+            this.cameras = cameras instanceof CameraGroup ? cameras.cameras : new Map(Object.entries(cameras))
+        }
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(prefix)) throw new ValidationError(`Invalid metric prefix "${prefix}"`, { value: prefix })
+        if (!buckets.length || buckets.some((bucket, i) => !(bucket > (buckets[i - 1] ?? 0)))) {
+            throw new ValidationError('Histogram buckets must be positive and in increasing order', { value: buckets })
+        }
+        this.prefix = prefix
+        this.interval = interval
+        this.timeout = timeout
+        this.buckets = buckets
+        // Camera IDs by instance, to label diagnostics channel messages
+        this.ids = new Map([...this.cameras].map(([id, camera]) => [camera, id]))
+        // Series by their label values
+        this.commands = new Map()
+        this.latencies = new Map()
+        this.protocolErrors = new Map()
+        this.bytes = new Map()
+        this.reconnects = new Map()
+        this.monitors = new Map()
+        // Listeners added to each camera, removed again on stop
+        this.listeners = new Map()
+        this.running = false
+        this.onCommandEnd = this.commandEnd.bind(this)
+        this.server = createServer(this.handleRequest.bind(this))
+    }
+    address() {
+        return this.server.address()
+    }
+    // Stop collecting and stop serving
+    async close() {
+        this.stop()
+        if (!this.server.listening) return
+        await new Promise(res => {
+            this.server.close(res)
+            this.server.closeAllConnections()
+        })
+    }
+    // Count every attempt at a command, with its latency
+    commandEnd(message) {
+        const camera = this.ids.get(message.camera)
+        if (camera === undefined) return
+        const name = message.function ?? `${message.command}/${message.subCommand}`
+        let outcome = 'ok'
+        if (message.error) outcome = message.error instanceof ResponseTimeoutError ? 'timeout' : 'error'
+        increment(this.commands, { camera, function: name, outcome })
+        const labels = { camera, function: name }
+        const key = JSON.stringify(labels)
+        if (!this.latencies.has(key)) this.latencies.set(key, { labels, value: { buckets: this.buckets.map(() => 0), count: 0, sum: 0 } })
+        const histogram = this.latencies.get(key).value
+        const seconds = message.latency / 1000
+        for (const [i, bound] of this.buckets.entries()) {
+            if (seconds <= bound) histogram.buckets[i]++
+        }
+        histogram.count++
+        histogram.sum += seconds
+    }
+    handleRequest(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost')
+        if (pathname !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found\n')
+            return
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' }).end('Method not allowed\n')
+            return
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE }).end(req.method === 'HEAD' ? undefined : this.metrics())
+    }
+    // Start collecting and serve the metrics. Rejects, without collecting, if the server can't listen.
+    listen(port = 9464, host) {
+        this.start()
+        return new Promise((res, rej) => {
+            const failed = e => {
+                this.stop()
+                rej(e)
+            }
+            this.server.once('error', failed)
+            this.server.listen(port, host, () => {
+                this.server.off('error', failed)
+                res()
+            })
+        })
+    }
+    // Current metrics in the Prometheus text format
+    metrics() {
+        const name = suffix => `${this.prefix}_${suffix}`
+        const samples = series => [...series.values()].map(({ labels, value }) => ({ labels, value }))
+        // One sample per camera, skipping cameras where the value is unknown
+        const perCamera = select => [...this.cameras].flatMap(([camera, instance]) => {
+            const value = select(camera, instance)
+            return value === undefined ? [] : [{ labels: { camera }, value }]
+        })
+        // Status counters from the last poll the camera answered
+        const status = field => perCamera(camera => this.monitors.get(camera)?.lastResponse?.status[field])
+        const up = camera => {
+            const latest = this.monitors.get(camera)?.latest
+            if (latest) return latest.error ? 0 : 1
+        }
+        const histograms = [...this.latencies.values()].flatMap(({ labels, value }) => [
+            ...this.buckets.map((bound, i) => ({ name: '_bucket', labels: { ...labels, le: bound }, value: value.buckets[i] })),
+            { name: '_bucket', labels: { ...labels, le: '+Inf' }, value: value.count },
+            { name: '_sum', labels, value: value.sum },
+            { name: '_count', labels, value: value.count }
+        ])
+        const modes = [...this.cameras].flatMap(([camera, instance]) => MODE_SETTINGS.flatMap(setting => {
+            const current = instance.state[setting]
+            // An unknown mode has no series set to 1
+            return Object.keys(MODES[setting]).map(mode => ({ labels: { camera, setting, mode }, value: current === mode ? 1 : 0 }))
+        }))
+        return formatMetrics([
+            { name: name('up'), help: 'Whether the camera answered the last status poll', type: 'gauge', samples: perCamera(up) },
+            { name: name('connected'), help: 'Whether the camera is connected', type: 'gauge', samples: perCamera((camera, instance) => instance.connected ? 1 : 0) },
+            { name: name('commands_total'), help: 'Command attempts by function and outcome (ok, timeout or error)', type: 'counter', samples: samples(this.commands) },
+            { name: name('command_duration_seconds'), help: 'Time from sending a command to its confirmation or failure', type: 'histogram', samples: histograms },
+            { name: name('protocol_errors_total'), help: 'Protocol errors that discarded received data, by reason (resync, length or checksum)', type: 'counter', samples: samples(this.protocolErrors) },
+            { name: name('bytes_total'), help: 'Bytes sent to and received from the camera', type: 'counter', samples: samples(this.bytes) },
+            { name: name('reconnects_total'), help: 'Times the transport reconnected to the camera', type: 'counter', samples: samples(this.reconnects) },
+            { name: name('cooler_cycles'), help: 'Cooler cycle counter reported by the camera', type: 'gauge', samples: status('numCoolerCycles') },
+            { name: name('power_cycles'), help: 'Power cycle counter reported by the camera', type: 'gauge', samples: status('numPowerCycles') },
+            { name: name('cooler_time'), help: 'Raw cooler time value reported by the camera, unit unknown', type: 'gauge', samples: status('coolerTime') },
+            { name: name('mode'), help: 'Current NUC, LUT, ITT and AGC mode, 1 for the active mode', type: 'gauge', samples: modes }
+        ])
+    }
+    // Start counting commands and traffic, and polling status and modes
+    start() {
+        if (this.running) return
+        this.running = true
+        diagnosticsChannel.subscribe(COMMAND_END_CHANNEL, this.onCommandEnd)
+        for (const [id, camera] of this.cameras) {
+            const listeners = {
+                traffic: ({ direction, data }) => increment(this.bytes, { camera: id, direction }, data.length),
+                protocolError: ({ reason }) => increment(this.protocolErrors, { camera: id, reason }),
+                connect: ({ reconnect }) => reconnect && increment(this.reconnects, { camera: id })
+            }
+            for (const [event, listener] of Object.entries(listeners)) {
+                camera.on(event, listener)
+            }
+            this.listeners.set(camera, listeners)
+            const monitor = new CameraMonitor(camera, { interval: this.interval, ...this.timeout && { timeout: this.timeout } })
+            this.monitors.set(id, monitor)
+            monitor.start()
+        }
+    }
+    stop() {
+        if (!this.running) return
+        this.running = false
+        diagnosticsChannel.unsubscribe(COMMAND_END_CHANNEL, this.onCommandEnd)
+        for (const [camera, listeners] of this.listeners) {
+            for (const [event, listener] of Object.entries(listeners)) {
+                camera.off(event, listener)
+            }
+        }
+        this.listeners.clear()
+        for (const monitor of this.monitors.values()) {
+            monitor.stop()
+        }
+    }
+}
@@ -0,0 +1,122 @@
+import { EventEmitter, on } from 'node:events'
+
+const POLL_INTERVAL = 5000 // ms
+const POLL_TIMEOUT = 1000 // ms
+// Consecutive failed polls before a camera is considered unresponsive
+const UNRESPONSIVE_AFTER = 2
+
+const MODE_GETTERS = {
+    nuc: 'getNUC',
+    lut: 'getLUT',
+    itt: 'getITT',
+    agc: 'getAGC'
+}
+
+// Polls a camera's status and modes in the background and reports changes
+export class CameraMonitor extends EventEmitter {
+    constructor(camera, { interval = POLL_INTERVAL, timeout = POLL_TIMEOUT, modes = true, unresponsiveAfter = UNRESPONSIVE_AFTER } = {}) {
+        super()
+        this.camera = camera
+        this.interval = interval
+        this.timeout = timeout
+        this.modes = modes
+        this.unresponsiveAfter = unresponsiveAfter
+
+        this.running = false
+        this.timer = null
+        this.loop = 0 // Counts starts, so a poll still in flight from before a restart doesn't schedule another
+        this.failures = 0
+        this.unresponsiveSince = null
+        this.latest = null // Most recent snapshot
+        this.lastResponse = null // Most recent snapshot the camera answered
+    }
+    // Emit events for everything that changed since the last answered poll
+    compare(previous, snapshot) {
+        const { status } = snapshot
+        if (Object.keys(status).some(key => status[key] !== previous.status[key])) {
+            this.emit('statusChange', status, previous.status)
+        }
+        if (status.numPowerCycles > previous.status.numPowerCycles) {
+            this.emit('powerCycled', { numPowerCycles: status.numPowerCycles, previous: previous.status.numPowerCycles })
+        }
+        if (status.numCoolerCycles > previous.status.numCoolerCycles) {
+            this.emit('coolerCycled', { numCoolerCycles: status.numCoolerCycles, previous: previous.status.numCoolerCycles })
+        }
+        for (const mode in snapshot.modes) {
+            if (previous.modes && snapshot.modes[mode] !== previous.modes[mode]) {
+                this.emit('modeChange', { mode, value: snapshot.modes[mode], previous: previous.modes[mode] })
+            }
+        }
+    }
+    // Poll once and resolve to the snapshot
+    async poll() {
+        const time = new Date()
+        const options = { timeout: this.timeout, retries: 0 }
+        let snapshot
+        try {
+            const status = await this.camera.getStatus(options)
+            let modes
+            if (this.modes) {
+                modes = {}
+                for (const [mode, getter] of Object.entries(MODE_GETTERS)) {
+                    modes[mode] = await this.camera[getter](options)
+                }
+            }
+            snapshot = { time, responsive: true, status, modes }
+        } catch (e) {
+            this.failures++
+            if (this.failures === this.unresponsiveAfter) {
+                this.unresponsiveSince = time
+                this.emit('unresponsive', { error: e, failures: this.failures, lastResponse: this.lastResponse?.time })
+            }
+            snapshot = { time, responsive: this.failures < this.unresponsiveAfter, error: e.message }
+            this.latest = snapshot
+            this.emit('snapshot', snapshot)
+            return snapshot
+        }
+
+        if (this.unresponsiveSince) {
+            this.emit('recovered', { downtime: time - this.unresponsiveSince })
+            this.unresponsiveSince = null
+        }
+        this.failures = 0
+        if (this.lastResponse) this.compare(this.lastResponse, snapshot)
+        this.latest = this.lastResponse = snapshot
+        this.emit('snapshot', snapshot)
+        return snapshot
+    }
+    // Async iterator of snapshots as they are polled, ending when the monitor stops or `signal` aborts
+    async *snapshots({ signal } = {}) {
+        const stopped = new AbortController()
+        const onStop = () => stopped.abort()
+        this.once('stop', onStop)
+        try {
+            const abort = signal ? AbortSignal.any([signal, stopped.signal]) : stopped.signal
+            for await (const [snapshot] of on(this, 'snapshot', { signal: abort })) {
+                yield snapshot
+            }
+        } catch (e) {
+            if (e.name !== 'AbortError') throw e
+        } finally {
+            this.off('stop', onStop)
+        }
+    }
+    start() {
+        if (this.running) return
+        this.running = true
+        this.tick(++this.loop)
+    }
+    stop() {
+        if (!this.running) return
+        this.running = false
+        clearTimeout(this.timer)
+        this.emit('stop')
+    }
+    async tick(loop) {
+        await this.poll()
+        if (this.running && loop === this.loop) this.timer = setTimeout(() => this.tick(loop), this.interval)
+    }
+    [Symbol.asyncIterator]() {
+        return this.snapshots()
+    }
+}
@@ -0,0 +1,162 @@
+import { EventEmitter } from 'node:events'
+import mqtt from 'mqtt'
+import { AGC_MODES, ITT_MODES, LUT_MODES, NUC_MODES } from '../index.js'
+import { ValidationError } from './errors.js'
+import { CameraGroup } from './group.js'
+import { CameraMonitor } from './monitor.js'
+import { isBoolean, isSteps, oneOf } from './validators.js'
+
+const PREFIX = 'amber'
+const POLL_INTERVAL = 5000 // ms
+// Topic under the prefix for the bridge's own availability
+const BRIDGE_TOPIC = 'bridge'
+
+// Payloads are text, so booleans and numbers are converted before they're checked
+const SWITCH_PAYLOADS = { true: true, on: true, false: false, off: false }
+
+function isSwitch(payload, command) {
+    return isBoolean(Object.hasOwn(SWITCH_PAYLOADS, payload) ? SWITCH_PAYLOADS[payload] : payload, command)
+}
+
+function isStepCount(payload, command) {
+    return isSteps(/^[+-]?\d+$/.test(payload) ? Number(payload) : payload, command)
+}
+
+function none() {
+    return undefined
+}
+
+// Commands accepted on "<prefix>/<id>/<command>/set", by command
+//  * parse: Turns the payload into the value to pass to run
+//  * run: Performs the command
+//  * state: Value to publish, retained, on "<prefix>/<id>/<command>" afterwards
+const COMMANDS = {
+    agc: { parse: oneOf(AGC_MODES), run: (camera, mode) => camera.setAGC(mode), state: mode => mode !== 'off' },
+    itt: { parse: oneOf(ITT_MODES), run: (camera, mode) => camera.setITT(mode), state: mode => mode },
+    lut: { parse: oneOf(LUT_MODES), run: (camera, mode) => camera.setLUT(mode), state: mode => mode },
+    nuc: { parse: oneOf(NUC_MODES), run: (camera, mode) => camera.setNUC(mode), state: mode => mode },
+    cooler: { parse: isSwitch, run: (camera, enabled) => camera.setCooler(enabled), state: enabled => enabled },
+    osd: { parse: isSwitch, run: (camera, enabled) => camera.toggleOSD(enabled), state: enabled => enabled },
+    'color-bar': { parse: isSwitch, run: (camera, enabled) => camera.toggleColorBar(enabled), state: enabled => enabled },
+    brightness: { parse: isStepCount, run: (camera, steps) => camera.adjustBrightness(steps) },
+    contrast: { parse: isStepCount, run: (camera, steps) => camera.adjustContrast(steps) },
+    'freeze-frame': { parse: none, run: camera => camera.toggleFreezeFrame() },
+    invert: { parse: none, run: camera => camera.invertImage() },
+    calibrate: {
+        parse: oneOf({ '1-point': 1, '2-point': 2 }),
+        run: (camera, points) => points === '1-point' ? camera.run1PointCalibration() : camera.run2PointCalibration()
+    }
+}
+
+function serialize(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+// Publishes camera state to MQTT topics and runs commands received on ".../set" topics
+export class MqttBridge extends EventEmitter {
+    // `cameras` maps IDs to Camera instances, or is a CameraGroup
+    constructor(cameras, { url, prefix = PREFIX, interval = POLL_INTERVAL, timeout, mqttOptions = {} } = {}) {
+        super()
+        this.cameras = cameras instanceof CameraGroup ? cameras.cameras : new Map(Object.entries(cameras))
+        for (const id of this.cameras.keys()) {
+            if (id === BRIDGE_TOPIC || /[/+#]/.test(id)) throw new ValidationError(`Invalid camera ID "${id}". IDs can't contain "/", "+" or "#", or be "${BRIDGE_TOPIC}"`, { value: id })
+        }
+        if (typeof prefix !== 'string' || prefix.split('/').some(level => !level || /[+#]/.test(level))) {
+            throw new ValidationError(`Invalid topic prefix "${prefix}". Prefixes can't contain "+", "#" or empty levels`, { value: prefix })
+        }
+        this.url = url
+        this.prefix = prefix
+        this.interval = interval
+        this.timeout = timeout
+        this.mqttOptions = mqttOptions
+        this.client = null
+        this.monitors = new Map()
+        // Last payload published to each topic, to skip unchanged ones
+        this.published = new Map()
+    }
+    get availabilityTopic() {
+        return `${this.prefix}/${BRIDGE_TOPIC}/availability`
+    }
+    // Parse and run a command received on a ".../set" topic
+    async handleMessage(topic, payload) {
+        const [id, command, set, ...rest] = topic.slice(this.prefix.length + 1).split('/')
+        const camera = this.cameras.get(id)
+        if (!camera || set !== 'set' || rest.length) return
+        try {
+            if (!COMMANDS[command]) throw new ValidationError(`Unknown command "${command}"`, { value: command, allowed: Object.keys(COMMANDS) })
+            const { parse, run, state } = COMMANDS[command]
+            const value = parse(payload.toString().trim(), command)
+            await run(camera, value)
+            if (state) await this.publish(`${id}/${command}`, state(value))
+            this.emit('command', { camera: id, command, value })
+        } catch (error) {
+            await this.publish(`${id}/error`, { command, code: error.code, message: error.message }, { retain: false })
+            this.emit('commandError', { camera: id, command, error })
+        }
+    }
+    // Publish to a topic under the prefix. Retained payloads that haven't changed are skipped.
+    async publish(topic, value, { retain = true } = {}) {
+        if (!this.client) return
+        const payload = serialize(value)
+        const fullTopic = `${this.prefix}/${topic}`
+        if (retain && this.published.get(fullTopic) === payload) return
+        this.published.set(fullTopic, payload)
+        try {
+            await this.client.publishAsync(fullTopic, payload, { qos: 1, retain })
+        } catch (e) {
+            this.published.delete(fullTopic)
+            this.emit('mqttError', e)
+        }
+    }
+    // Publish the state from a monitor snapshot
+    async publishSnapshot(id, snapshot, monitor) {
+        await this.publish(`${id}/availability`, snapshot.responsive ? 'online' : 'offline')
+        await this.publish(`${id}/health`, {
+            responsive: snapshot.responsive,
+            failures: monitor.failures,
+            lastResponse: monitor.lastResponse?.time,
+            ...snapshot.error && { error: snapshot.error }
+        })
+        if (!snapshot.status) return
+        await this.publish(`${id}/status`, snapshot.status)
+        for (const [mode, value] of Object.entries(snapshot.modes ?? {})) {
+            await this.publish(`${id}/${mode}`, value)
+        }
+    }
+    // Connect to the broker, subscribe to command topics and start polling the cameras
+    async start() {
+        if (this.client) return
+        this.client = await mqtt.connectAsync(this.url, {
+            ...this.mqttOptions,
+            will: { topic: this.availabilityTopic, payload: 'offline', qos: 1, retain: true }
+        })
+        this.client.on('error', e => this.emit('mqttError', e))
+        this.client.on('message', (topic, payload) => this.handleMessage(topic, payload))
+        await this.client.subscribeAsync(`${this.prefix}/+/+/set`, { qos: 1 })
+        await this.publish(`${BRIDGE_TOPIC}/availability`, 'online')
+        for (const [id, camera] of this.cameras) {
+            const monitor = new CameraMonitor(camera, { interval: this.interval, ...this.timeout && { timeout: this.timeout } })
+            monitor.on('snapshot', snapshot => {
+                // A poll can finish after the bridge stops
+                if (this.monitors.get(id) === monitor) this.publishSnapshot(id, snapshot, monitor)
+            })
+            this.monitors.set(id, monitor)
+            monitor.start()
+        }
+    }
+    // Mark the bridge and cameras offline and disconnect from the broker
+    async stop() {
+        if (!this.client) return
+        for (const monitor of this.monitors.values()) {
+            monitor.stop()
+        }
+        this.monitors.clear()
+        for (const id of this.cameras.keys()) {
+            await this.publish(`${id}/availability`, 'offline')
+        }
+        await this.publish(`${BRIDGE_TOPIC}/availability`, 'offline')
+        await this.client.endAsync()
+        this.client = null
+        this.published.clear()
+    }
+}
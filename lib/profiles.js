@@ -0,0 +1,67 @@
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { validateProfile } from '../index.js'
+import { NotFoundError, ValidationError } from './errors.js'
+
+// Turn a profile name into a file name, E.G. "Outdoor Night" becomes "outdoor-night.json"
+function fileName(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+    if (!slug) throw new ValidationError(`Profile name "${name}" must contain at least one letter or number`, { value: name })
+    return `${slug}.json`
+}
+
+// Stores named imaging profiles as JSON files in a directory
+export class ProfileStore {
+    constructor(directory) {
+        this.directory = directory
+    }
+    async delete(name) {
+        await rm(join(this.directory, fileName(name)), { force: true })
+    }
+    // Names of all stored profiles
+    async list() {
+        let files
+        try {
+            files = await readdir(this.directory)
+        } catch (e) {
+            if (e.code === 'ENOENT') return []
+            throw e
+        }
+        const names = []
+        for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+            let profile
+            try {
+                profile = await this.read(file)
+            } catch (e) {
+                // Skip corrupt or partially written files, one bad file shouldn't hide the others
+                if (e instanceof ValidationError) continue
+                throw e
+            }
+            if (profile.name !== undefined) names.push(profile.name)
+        }
+        return names
+    }
+    async load(name) {
+        try {
+            return await this.read(fileName(name))
+        } catch (e) {
+            if (e.code === 'ENOENT') throw new NotFoundError(`No profile named "${name}"`, { item: name, cause: e })
+            throw e
+        }
+    }
+    // Read and validate a profile file, throwing a ValidationError with the file name when it isn't a valid profile
+    async read(file) {
+        const contents = await readFile(join(this.directory, file), 'utf8')
+        try {
+            return validateProfile(JSON.parse(contents))
+        } catch (e) {
+            throw new ValidationError(`Profile file "${file}" is invalid: ${e.message}`, { value: file, cause: e })
+        }
+    }
+    async save(name, profile) {
+        const stored = validateProfile({ ...profile, name })
+        await mkdir(this.directory, { recursive: true })
+        await writeFile(join(this.directory, fileName(name)), `${JSON.stringify(stored, null, 4)}\n`)
+        return stored
+    }
+}
@@ -0,0 +1,302 @@
+import { EventEmitter } from 'node:events'
+import { ChecksumError, ValidationError } from './errors.js'
+
+export { ChecksumError }
+
+// Standard packets are 14 bytes. Each byte as follows:
+// 0: Major Revision (always 0x03)
+// 1: Minor Revision (always 0x00)
+// 2: Process ID (always 0x01)
+// 3: Function Number
+// 4: Subfunction Number
+// 5: Packet number
+// 6: IStatus (?) (always 0xff)
+// 7: CStatus (?) (always 0xff)
+// 8: Data count 1
+// 9: Data count 2
+// 10: Checksum (first 10 bytes summed, mod 256)
+// 11: Unknown (always 2)
+// 12: Unknown (always 0)
+// 13: Unknown (always 0)
+const STD_HEADER = Buffer.alloc(8)
+STD_HEADER[0] = 3 // Major revision
+STD_HEADER[1] = 0 // Minor revision
+STD_HEADER[2] = 1 // Process ID
+STD_HEADER[6] = 0xff // IStatus
+STD_HEADER[7] = 0xff // CStatus
+
+const STD_FOOTER = Buffer.alloc(4)
+STD_FOOTER[1] = 2 // Unknown
+
+// Function/Subfunction Lookup Table
+export const FUNCTIONS = {
+    AGC_OFF: [1, 0],
+    AGC_ON: [1, 1],
+    AGC_GET: [1, 2],
+    AGC_SET: [1, 3],
+    COOLER_OFF: [3, 2],
+    COOLER_ON: [3, 3],
+    STATUS_GET: [3, 5],
+    FREEZE_FRAME: [4, 1],
+    BRIGHTNESS_UP: [4, 4],
+    BRIGHTNESS_DOWN: [4, 5],
+    CONTRAST_UP: [4, 6],
+    CONTRAST_DOWN: [4, 7],
+    INVERT_IMAGE: [5, 0],
+    LUT_SET: [5, 1],
+    LUT_GET: [5, 2],
+    ITT_SET: [5, 4],
+    ITT_GET: [5, 5],
+    COLOR_BAR_OFF: [5, 0x0c],
+    COLOR_BAR_ON: [5, 0x0d],
+    OSD_OFF: [6, 0],
+    OSD_ON: [6, 1],
+    CALIBRATE_1_POINT: [7, 1],
+    CALIBRATE_2_POINT: [7, 2],
+    NUC_SET: [7, 5],
+    NUC_GET: [7, 6]
+}
+
+// Automatic Gain Control Modes
+export const AGC_MODES = {
+    off: -1,
+    full: 0,
+    midsize: 1,
+    center: 2,
+    horizon: 3,
+}
+
+// Intensity Transform Table Modes
+export const ITT_MODES = {
+    linear: 1,
+    inverse: 2,
+    's-curve': 3,
+    'two-cycle': 4
+}
+
+// Non-Uniformity Correction Modes
+export const NUC_MODES = {
+    cold: 1,
+    mid: 2,
+    warm: 3,
+    hot: 4
+}
+
+// Look-Up Table Modes
+export const LUT_MODES = {
+    'black-and-white': 1,
+    color: 2,
+    sepia: 3
+}
+
+// Mode tables by name, including those added with defineModes()
+export const MODES = {
+    agc: AGC_MODES,
+    itt: ITT_MODES,
+    nuc: NUC_MODES,
+    lut: LUT_MODES
+}
+
+// Argument encoders and response decoders for functions added with defineFunction()
+export const CODECS = {}
+
+function isByte(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 0xff
+}
+
+// Register a named function, E.G. defineFunction('ZOOM_SET', [8, 3], { encode: level => [level] })
+//  * encode: Turns the call argument into a list of 16 bit words
+//  * decode: Turns the response data into a result
+export function defineFunction(name, [command, subCommand] = [], { encode, decode } = {}) {
+    if (typeof name !== 'string' || !name) throw new ValidationError('Function name must be a non-empty string', { value: name })
+    if (name in FUNCTIONS) throw new ValidationError(`Function "${name}" is already defined as [${FUNCTIONS[name].join(', ')}]`, { value: name })
+    if (!isByte(command) || !isByte(subCommand)) throw new ValidationError(`Function and subfunction must be integers between 0 and 255, got [${command}, ${subCommand}]`, { value: [command, subCommand] })
+    FUNCTIONS[name] = [command, subCommand]
+    CODECS[name] = { encode, decode }
+    return FUNCTIONS[name]
+}
+
+// Add modes to a mode table, creating the table if it doesn't exist yet. Existing modes can't be changed.
+export function defineModes(name, modes) {
+    const table = MODES[name] ??= {}
+    for (const [mode, value] of Object.entries(modes)) {
+        if (!Number.isInteger(value) || value < 0 || value > 0xffff) throw new ValidationError(`Mode "${mode}" must be an integer between 0 and 65535, got ${value}`, { value })
+        if (mode in table && table[mode] !== value) throw new ValidationError(`Mode "${mode}" is already defined as ${table[mode]}`, { value: mode })
+        table[mode] = value
+    }
+    return table
+}
+
+// Every frame starts with the major/minor revision and process ID
+export const FRAME_START = Buffer.from([3, 0, 1])
+// Larger data counts are treated as line noise rather than waited on
+export const MAX_DATA_SIZE = 512
+
+// Encode a command frame. `data` is a list of 16 bit words.
+export function encode(messageID, command, subCommand = 0, data = []) {
+    // Create a standard header
+    const header = Buffer.from(STD_HEADER)
+    // Set command bytes
+    header[3] = command
+    header[4] = subCommand
+    // Set message number
+    header[5] = messageID
+
+    // Set data (if given)
+    const dataSize = 2 + data.length * 2
+    const dataBlock = Buffer.alloc(dataSize)
+    if (data.length) {
+        dataBlock.writeUInt16LE(data.length * 2)
+        for (let i = 0; i < data.length; i++) {
+            dataBlock.writeUInt16LE(data[i], 2 + i * 2)
+        }
+    }
+
+    // Create standard footer
+    const footer = Buffer.from(STD_FOOTER)
+
+    // Calculate checksum
+    const msg = Buffer.concat([header, dataBlock])
+    for (let i = 0; i < msg.length; i++) {
+        footer[0] += msg[i]
+    }
+
+    return Buffer.concat([msg, footer])
+}
+
+// Decode a complete frame, throwing a ChecksumError if it is corrupted
+export function decode(frame) {
+    const dataSize = frame.readUInt16LE(8)
+    if (frame.length < 14 + dataSize) throw new ValidationError(`Frame is ${frame.length} bytes, expected ${14 + dataSize}`, { value: frame })
+
+    // Check checksum
+    let expected = 0
+    for (let i = 0; i < 10 + dataSize; i++) {
+        expected += frame[i]
+    }
+
+    if (frame[10 + dataSize] !== expected % 256) {
+        throw new ChecksumError(`Incorrect checksum: Expected ${expected % 256}, got ${frame[10 + dataSize]}. Ignoring...`, {
+            messageID: frame[5],
+            frame,
+            expected: expected % 256,
+            actual: frame[10 + dataSize]
+        })
+    }
+
+    const command = frame[3]
+    const subCommand = frame[4]
+    const messageID = frame[5]
+    const response = dataSize ? frame.subarray(10, 10 + dataSize) : undefined
+    return { command, subCommand, messageID, response }
+}
+
+// Name of the function with these codes, if known
+export function functionName(command, subCommand) {
+    return Object.keys(FUNCTIONS).find(name => FUNCTIONS[name][0] === command && FUNCTIONS[name][1] === subCommand)
+}
+
+function hex(bytes) {
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join(' ')
+}
+
+// Annotate each field of a frame, one per line, following the packet layout above
+export function formatFrame(frame) {
+    const lines = []
+    const field = (bytes, description) => lines.push(`${hex(bytes).padEnd(12)}${description}`)
+    const name = functionName(frame[3], frame[4])
+    field(frame.subarray(0, 1), 'Major revision')
+    field(frame.subarray(1, 2), 'Minor revision')
+    field(frame.subarray(2, 3), 'Process ID')
+    field(frame.subarray(3, 4), `Function ${frame[3]}${name ? ` (${name})` : ''}`)
+    field(frame.subarray(4, 5), `Subfunction ${frame[4]}`)
+    field(frame.subarray(5, 6), `Packet number ${frame[5]}`)
+    field(frame.subarray(6, 7), 'IStatus')
+    field(frame.subarray(7, 8), 'CStatus')
+    if (frame.length < 10) return lines.join('\n')
+    const dataSize = frame.readUInt16LE(8)
+    field(frame.subarray(8, 10), `Data count ${dataSize}`)
+    if (dataSize) field(frame.subarray(10, 10 + dataSize), 'Data')
+    if (frame.length > 10 + dataSize) {
+        const expected = frame.subarray(0, 10 + dataSize).reduce((sum, byte) => sum + byte, 0) % 256
+        const checksum = frame[10 + dataSize]
+        field(frame.subarray(10 + dataSize, 11 + dataSize), `Checksum ${checksum === expected ? 'OK' : `BAD (expected ${expected})`}`)
+        field(frame.subarray(11 + dataSize), 'Footer')
+    }
+    return lines.join('\n')
+}
+
+// Header fields of a frame as a plain object, for structured logs
+export function describeFrame(frame) {
+    const dataSize = frame.length >= 10 ? frame.readUInt16LE(8) : 0
+    return {
+        function: functionName(frame[3], frame[4]),
+        command: frame[3],
+        subCommand: frame[4],
+        messageID: frame[5],
+        iStatus: frame[6],
+        cStatus: frame[7],
+        dataSize,
+        data: frame.subarray(10, 10 + dataSize).toString('hex'),
+        checksum: frame[10 + dataSize]
+    }
+}
+
+// Name of the mode with `value` in a mode table
+export function modeName(modes, value) {
+    return Object.keys(modes).find(mode => modes[mode] === value)
+}
+
+// Splits a byte stream into frames, resynchronizing on the frame header after noise or corruption
+export class FrameDecoder extends EventEmitter {
+    constructor() {
+        super()
+        this.buffer = Buffer.alloc(0)
+    }
+    // Throw away bytes that can't be part of a frame
+    discard(length, reason) {
+        const data = this.buffer.subarray(0, length)
+        this.buffer = this.buffer.subarray(length)
+        this.emit('protocolError', { reason, message: `Discarded ${length} byte(s) while resynchronizing`, data })
+    }
+    push(data) {
+        this.buffer = Buffer.concat([this.buffer, data])
+        while (this.buffer.length) {
+            const start = this.buffer.indexOf(FRAME_START)
+            if (start === -1) {
+                // Hold on to the tail in case it is the beginning of a header
+                let keep = Math.min(FRAME_START.length - 1, this.buffer.length)
+                while (keep && !FRAME_START.subarray(0, keep).equals(this.buffer.subarray(-keep))) keep--
+                if (this.buffer.length > keep) this.discard(this.buffer.length - keep, 'resync')
+                return
+            }
+            if (start > 0) this.discard(start, 'resync')
+
+            // Wait for the data count
+            if (this.buffer.length < 10) return
+            const dataSize = this.buffer.readUInt16LE(8)
+            if (dataSize > MAX_DATA_SIZE) {
+                this.emit('protocolError', { reason: 'length', message: `Data count ${dataSize} exceeds ${MAX_DATA_SIZE} bytes`, data: this.buffer.subarray(0, 10) })
+                this.buffer = this.buffer.subarray(1)
+                continue
+            }
+
+            // Wait for the rest of the frame
+            const frameSize = 14 + dataSize
+            if (this.buffer.length < frameSize) return
+            const frame = Buffer.from(this.buffer.subarray(0, frameSize))
+            let parsed
+            try {
+                parsed = decode(frame)
+            } catch (e) {
+                // Skip past this header only; the data count itself may be what got corrupted
+                this.emit('protocolError', { reason: 'checksum', message: e.message, messageID: e.messageID, data: frame, error: e })
+                this.buffer = this.buffer.subarray(1)
+                continue
+            }
+            this.buffer = this.buffer.subarray(frameSize)
+            this.emit('frame', { ...parsed, frame })
+        }
+    }
+}
+
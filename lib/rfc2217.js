@@ -0,0 +1,261 @@
+import { EventEmitter } from 'node:events'
+import { connect } from 'node:net'
+import { NotConnectedError, ResponseTimeoutError, ValidationError } from './errors.js'
+
+// Telnet commands (RFC 854)
+export const TELNET = { SE: 240, SB: 250, WILL: 251, WONT: 252, DO: 253, DONT: 254, IAC: 255 }
+
+// Telnet options
+export const OPTIONS = { BINARY: 0, SUPPRESS_GO_AHEAD: 3, COM_PORT: 44 }
+
+// COM port control commands sent by the client. The server answers each with the same code + 100.
+export const COM_PORT_COMMANDS = {
+    SET_BAUDRATE: 1,
+    SET_DATASIZE: 2,
+    SET_PARITY: 3,
+    SET_STOPSIZE: 4,
+    SET_CONTROL: 5,
+    PURGE_DATA: 12
+}
+export const SERVER_OFFSET = 100
+
+export const PARITIES = { none: 1, odd: 2, even: 3, mark: 4, space: 5 }
+export const STOP_BITS = { 1: 1, 2: 2, 1.5: 3 }
+export const FLOW_CONTROLS = { none: 1, 'xon/xoff': 2, hardware: 3 }
+const DATA_BITS = [5, 6, 7, 8]
+
+const RESPONSE_TIMEOUT = 1000 // ms
+
+// Double every IAC byte, so data can't be mistaken for a telnet command
+export function escapeIAC(data) {
+    if (!data.includes(TELNET.IAC)) return data
+    const bytes = []
+    for (const byte of data) {
+        bytes.push(byte)
+        if (byte === TELNET.IAC) bytes.push(byte)
+    }
+    return Buffer.from(bytes)
+}
+
+// Splits a telnet byte stream into data and commands. Commands can be split across chunks.
+// Events:
+//  * data (Buffer): Data bytes, with doubled IACs undone
+//  * negotiate ({ command, option }): WILL, WONT, DO or DONT
+//  * subnegotiate ({ option, data }): Everything between IAC SB <option> and IAC SE
+export class TelnetParser extends EventEmitter {
+    constructor() {
+        super()
+        this.state = 'data'
+        this.command = null
+        this.sub = []
+    }
+    push(chunk) {
+        const data = []
+        for (const byte of chunk) {
+            switch (this.state) {
+                case 'data':
+                    if (byte === TELNET.IAC) {
+                        this.state = 'iac'
+                    } else {
+                        data.push(byte)
+                    }
+                    break
+                case 'iac':
+                    this.state = 'data'
+                    if (byte === TELNET.IAC) {
+                        data.push(byte)
+                    } else if (byte === TELNET.SB) {
+                        this.sub = []
+                        this.state = 'sb'
+                    } else if (byte >= TELNET.WILL && byte <= TELNET.DONT) {
+                        this.command = byte
+                        this.state = 'negotiate'
+                    }
+                    // Other commands (NOP, GA, ...) carry nothing for us
+                    break
+                case 'negotiate':
+                    this.flush(data)
+                    this.emit('negotiate', { command: this.command, option: byte })
+                    this.state = 'data'
+                    break
+                case 'sb':
+                    if (byte === TELNET.IAC) {
+                        this.state = 'sb-iac'
+                    } else {
+                        this.sub.push(byte)
+                    }
+                    break
+                case 'sb-iac':
+                    if (byte === TELNET.SE) {
+                        this.flush(data)
+                        const [option, ...rest] = this.sub
+                        this.emit('subnegotiate', { option, data: Buffer.from(rest) })
+                        this.state = 'data'
+                    } else {
+                        this.sub.push(byte)
+                        this.state = 'sb'
+                    }
+                    break
+            }
+        }
+        this.flush(data)
+    }
+    // Emit the data collected so far, so it stays in order with the commands around it
+    flush(data) {
+        if (data.length) this.emit('data', Buffer.from(data.splice(0)))
+    }
+}
+
+// Encode a COM port control value for SET-* commands
+function encodeValue(code, value) {
+    if (code !== COM_PORT_COMMANDS.SET_BAUDRATE) return Buffer.from([value])
+    const buffer = Buffer.alloc(4)
+    buffer.writeUInt32BE(value)
+    return buffer
+}
+
+function decodeValue(code, data) {
+    return code === COM_PORT_COMMANDS.SET_BAUDRATE && data.length >= 4 ? data.readUInt32BE(0) : data[0]
+}
+
+// Check serial line settings, throwing a ValidationError for the first invalid one
+function validateLineSettings({ baudRate, dataBits, parity, stopBits, flowControl }) {
+    if (!Number.isInteger(baudRate) || baudRate <= 0) throw new ValidationError(`Invalid baud rate "${baudRate}"`, { value: baudRate })
+    if (!DATA_BITS.includes(dataBits)) throw new ValidationError(`Invalid data bits "${dataBits}"`, { value: dataBits, allowed: DATA_BITS })
+    for (const [name, value, table] of [['parity', parity, PARITIES], ['stop bits', stopBits, STOP_BITS], ['flow control', flowControl, FLOW_CONTROLS]]) {
+        if (!(value in table)) throw new ValidationError(`Invalid ${name} "${value}"`, { value, allowed: Object.keys(table) })
+    }
+    return { baudRate, dataBits, parity, stopBits, flowControl }
+}
+
+// Transport to a networked serial server that speaks RFC 2217 (telnet COM port control), E.G. ser2net or a Moxa
+// NPort in RFC 2217 mode. The serial line settings are sent on connect and can be changed at any time.
+export class RFC2217Device extends EventEmitter {
+    constructor({ host, port, baudRate = 38400, dataBits = 8, parity = 'none', stopBits = 1, flowControl = 'none', responseTimeout = RESPONSE_TIMEOUT }) {
+        super()
+        this.host = host
+        this.port = port
+        this.responseTimeout = responseTimeout
+        this.settings = validateLineSettings({ baudRate, dataBits, parity, stopBits, flowControl })
+        this.socket = null
+        this.parser = null
+        // Replies awaited from the server, by COM port command code
+        this.waiting = new Map()
+    }
+    close() {
+        const socket = this.socket
+        this.socket = null
+        this.reject(new NotConnectedError('Connection closed'))
+        if (!socket || socket.destroyed) return Promise.resolve()
+        return new Promise(res => {
+            socket.once('close', res)
+            socket.destroy()
+        })
+    }
+    // Change serial line settings on the server. Resolves to the settings the server reports back.
+    async configure(settings) {
+        const { baudRate, dataBits, parity, stopBits, flowControl } = validateLineSettings({ ...this.settings, ...settings })
+        const applied = {
+            baudRate: await this.request(COM_PORT_COMMANDS.SET_BAUDRATE, baudRate),
+            dataBits: await this.request(COM_PORT_COMMANDS.SET_DATASIZE, dataBits),
+            parity: await this.request(COM_PORT_COMMANDS.SET_PARITY, PARITIES[parity]),
+            stopBits: await this.request(COM_PORT_COMMANDS.SET_STOPSIZE, STOP_BITS[stopBits]),
+            flowControl: await this.request(COM_PORT_COMMANDS.SET_CONTROL, FLOW_CONTROLS[flowControl])
+        }
+        this.settings = { baudRate, dataBits, parity, stopBits, flowControl }
+        return {
+            baudRate: applied.baudRate,
+            dataBits: applied.dataBits,
+            parity: Object.keys(PARITIES).find(name => PARITIES[name] === applied.parity),
+            stopBits: Number(Object.keys(STOP_BITS).find(name => STOP_BITS[name] === applied.stopBits)),
+            flowControl: Object.keys(FLOW_CONTROLS).find(name => FLOW_CONTROLS[name] === applied.flowControl)
+        }
+    }
+    // Open the connection, agree on binary mode and COM port control, then apply the line settings
+    async connect() {
+        const socket = connect({ host: this.host, port: this.port })
+        socket.setNoDelay(true)
+        await new Promise((res, rej) => {
+            socket.once('connect', res)
+            socket.once('error', rej)
+        })
+        this.socket = socket
+        this.parser = new TelnetParser()
+        this.parser.on('data', data => this.emit('data', data))
+        this.parser.on('negotiate', this.negotiate.bind(this))
+        this.parser.on('subnegotiate', this.subnegotiate.bind(this))
+        socket.on('data', chunk => this.parser.push(chunk))
+        socket.on('error', err => this.emit('error', err))
+        socket.on('close', () => {
+            if (this.socket === socket) this.reject(new NotConnectedError('Connection closed by the serial server'))
+            this.emit('close')
+        })
+
+        const accepted = this.expect('accepted')
+        const { WILL, DO, IAC } = TELNET
+        const { BINARY, SUPPRESS_GO_AHEAD, COM_PORT } = OPTIONS
+        socket.write(Buffer.from([IAC, WILL, COM_PORT, IAC, WILL, BINARY, IAC, DO, BINARY, IAC, WILL, SUPPRESS_GO_AHEAD, IAC, DO, SUPPRESS_GO_AHEAD]))
+        try {
+            await accepted
+            await this.configure()
+        } catch (e) {
+            await this.close()
+            throw e
+        }
+        this.emit('connect')
+    }
+    // Wait for the server's reply to `key`, failing after the response timeout
+    expect(key) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiting.delete(key)
+                reject(new ResponseTimeoutError(`No ${key === 'accepted' ? 'RFC 2217 negotiation' : `reply to COM port command ${key}`} from the serial server within ${this.responseTimeout}ms`, { timeout: this.responseTimeout }))
+            }, this.responseTimeout)
+            this.waiting.set(key, { resolve, reject, timer })
+        })
+    }
+    // Answer the server's option negotiation. Only the options offered in connect() are agreed to.
+    negotiate({ command, option }) {
+        const { WILL, WONT, DO, DONT, IAC } = TELNET
+        const { BINARY, SUPPRESS_GO_AHEAD, COM_PORT } = OPTIONS
+        if (option === COM_PORT && command === DO) return this.resolve('accepted', true)
+        if (option === COM_PORT && command === DONT) {
+            return this.reject(new NotConnectedError('The serial server refused RFC 2217 COM port control'), 'accepted')
+        }
+        const supported = [BINARY, SUPPRESS_GO_AHEAD].includes(option)
+        if (command === DO && !supported) this.socket?.write(Buffer.from([IAC, WONT, option]))
+        if (command === WILL && !supported) this.socket?.write(Buffer.from([IAC, DONT, option]))
+    }
+    reject(error, key) {
+        for (const [waiting, entry] of this.waiting) {
+            if (key !== undefined && waiting !== key) continue
+            clearTimeout(entry.timer)
+            this.waiting.delete(waiting)
+            entry.reject(error)
+        }
+    }
+    // Send a COM port control command and wait for the server to confirm it
+    request(code, value) {
+        if (!this.socket) return Promise.reject(new NotConnectedError())
+        const reply = this.expect(code)
+        const { IAC, SB, SE } = TELNET
+        this.socket.write(Buffer.concat([Buffer.from([IAC, SB, OPTIONS.COM_PORT, code]), escapeIAC(encodeValue(code, value)), Buffer.from([IAC, SE])]))
+        return reply
+    }
+    resolve(key, value) {
+        const entry = this.waiting.get(key)
+        if (!entry) return
+        clearTimeout(entry.timer)
+        this.waiting.delete(key)
+        entry.resolve(value)
+    }
+    send(data) {
+        if (!this.socket) throw new NotConnectedError()
+        this.socket.write(escapeIAC(data))
+    }
+    subnegotiate({ option, data }) {
+        if (option !== OPTIONS.COM_PORT || data[0] < SERVER_OFFSET) return
+        const code = data[0] - SERVER_OFFSET
+        this.resolve(code, decodeValue(code, data.subarray(1)))
+    }
+}
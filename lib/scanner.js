@@ -0,0 +1,99 @@
+import { EventEmitter } from 'node:events'
+import { ChecksumError, ResponseTimeoutError } from './errors.js'
+import { FUNCTIONS, functionName } from './protocol.js'
+
+const PROBE_TIMEOUT = 200 // ms
+// Known codes that change hardware state: every setter and toggle, including the cooler and calibrations
+export const UNSAFE_FUNCTIONS = [
+    'AGC_OFF', 'AGC_ON', 'AGC_SET',
+    'COOLER_OFF', 'COOLER_ON',
+    'FREEZE_FRAME', 'BRIGHTNESS_UP', 'BRIGHTNESS_DOWN', 'CONTRAST_UP', 'CONTRAST_DOWN',
+    'INVERT_IMAGE', 'LUT_SET', 'ITT_SET', 'COLOR_BAR_OFF', 'COLOR_BAR_ON',
+    'OSD_OFF', 'OSD_ON',
+    'CALIBRATE_1_POINT', 'CALIBRATE_2_POINT', 'NUC_SET'
+]
+
+// Parse a list of codes and ranges, E.G. "2,5-7,0x0c"
+export function parseRange(spec) {
+    const codes = []
+    for (const part of String(spec).split(',')) {
+        const [start, end = start] = part.split('-').map(Number)
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > 0xff || start > end) {
+            throw new RangeError(`Invalid code range "${part}". Codes must be between 0 and 255, E.G. "2,5-7"`)
+        }
+        for (let code = start; code <= end; code++) {
+            codes.push(code)
+        }
+    }
+    return codes
+}
+
+function codesOf(entry) {
+    return typeof entry === 'string' ? FUNCTIONS[entry] : entry
+}
+
+// Probes ranges of function/subfunction codes and classifies the replies
+export class FunctionScanner extends EventEmitter {
+    constructor(camera, { functions = parseRange('0-15'), subFunctions = parseRange('0-15'), data = [], timeout = PROBE_TIMEOUT, allow = [], skipKnown = false } = {}) {
+        super()
+        this.camera = camera
+        this.functions = functions
+        this.subFunctions = subFunctions
+        this.data = data
+        this.timeout = timeout
+        this.skipKnown = skipKnown
+        // Allowed by name or [function, subfunction]
+        const allowed = allow.map(codesOf)
+        this.unsafe = UNSAFE_FUNCTIONS.map(name => FUNCTIONS[name]).filter(([fn, sub]) => !allowed.some(codes => codes?.[0] === fn && codes[1] === sub))
+    }
+    isUnsafe(command, subCommand) {
+        return this.unsafe.some(([fn, sub]) => fn === command && sub === subCommand)
+    }
+    // Send a single probe and classify the reply as none, ack, data or corrupt
+    async probe(command, subCommand, { signal } = {}) {
+        const result = { function: command, subFunction: subCommand, name: functionName(command, subCommand) }
+        try {
+            const frame = await this.camera.sendRaw(command, subCommand, ...this.data, { timeout: this.timeout, retries: 0, signal })
+            const size = frame.readUInt16LE(8)
+            Object.assign(result, size ? { result: 'data', size, data: frame.subarray(10, 10 + size).toString('hex') } : { result: 'ack', size })
+        } catch (e) {
+            if (e instanceof ResponseTimeoutError) {
+                result.result = 'none'
+            } else if (e instanceof ChecksumError) {
+                result.result = 'corrupt'
+            } else {
+                throw e
+            }
+        }
+        return result
+    }
+    // Probe every code in range. Resolves to a report whose `functions` can be merged into FUNCTIONS.
+    async scan({ signal } = {}) {
+        const report = { results: [], skipped: [], functions: {} }
+        for (const command of this.functions) {
+            for (const subCommand of this.subFunctions) {
+                const name = functionName(command, subCommand)
+                if (this.isUnsafe(command, subCommand) || this.skipKnown && name) {
+                    report.skipped.push({ function: command, subFunction: subCommand, name })
+                    this.emit('skip', report.skipped.at(-1))
+                    continue
+                }
+                const result = await this.probe(command, subCommand, { signal })
+                report.results.push(result)
+                if (!result.name && result.result !== 'none') report.functions[`UNKNOWN_${command}_${subCommand}`] = [command, subCommand]
+                this.emit('probe', result)
+            }
+        }
+        return report
+    }
+}
+
+// Format the codes that replied as FUNCTIONS table entries
+export function formatReport(report) {
+    const lines = report.results.filter(result => result.result !== 'none').map(result => {
+        const name = result.name ?? `UNKNOWN_${result.function}_${result.subFunction}`
+        const reply = { ack: 'empty acknowledgement', data: `data reply, ${result.size} bytes: ${result.data}`, corrupt: 'corrupt reply' }[result.result]
+        return `    ${name}: [${result.function}, ${result.subFunction}], // ${reply}${result.name ? ' (known)' : ''}`
+    })
+    return lines.join('\n')
+}
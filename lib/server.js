@@ -0,0 +1,276 @@
+import { EventEmitter } from 'node:events'
+import { createServer } from 'node:http'
+import { WebSocketServer } from 'ws'
+import { AGC_MODES, ITT_MODES, LUT_MODES, NUC_MODES } from '../index.js'
+import { CameraError, NotConnectedError, ResponseTimeoutError, ValidationError } from './errors.js'
+import { isBoolean, isSteps, oneOf } from './validators.js'
+
+const MAX_BODY_SIZE = 16 * 1024 // bytes
+
+class RequestError extends CameraError {
+    constructor(status, code, message, details = {}) {
+        super(message, code)
+        this.name = 'RequestError'
+        this.status = status
+        this.details = details
+    }
+}
+
+// Step brightness or contrast a number of times
+function step(method) {
+    return async(camera, { delta }) => {
+        await camera[method](delta)
+        return { delta }
+    }
+}
+
+// Route table, keyed by "<method> <path>"
+//  * body: Validators for the JSON body fields
+//  * run: Performs the request, resolving to the response body
+const ROUTES = {
+    'GET /status': { run: camera => camera.getStatus() },
+    'GET /agc': { run: async camera => ({ enabled: await camera.getAGC() }) },
+    'PUT /agc': {
+        body: { mode: oneOf(AGC_MODES) },
+        run: async(camera, { mode }) => {
+            await camera.setAGC(mode)
+            return { mode }
+        }
+    },
+    'GET /itt': { run: async camera => ({ mode: await camera.getITT() }) },
+    'PUT /itt': {
+        body: { mode: oneOf(ITT_MODES) },
+        run: async(camera, { mode }) => {
+            await camera.setITT(mode)
+            return { mode }
+        }
+    },
+    'GET /lut': { run: async camera => ({ mode: await camera.getLUT() }) },
+    'PUT /lut': {
+        body: { mode: oneOf(LUT_MODES) },
+        run: async(camera, { mode }) => {
+            await camera.setLUT(mode)
+            return { mode }
+        }
+    },
+    'GET /nuc': { run: async camera => ({ mode: await camera.getNUC() }) },
+    'PUT /nuc': {
+        body: { mode: oneOf(NUC_MODES) },
+        run: async(camera, { mode }) => {
+            await camera.setNUC(mode)
+            return { mode }
+        }
+    },
+    'PUT /cooler': {
+        body: { enabled: isBoolean },
+        run: async(camera, { enabled }) => {
+            await camera.setCooler(enabled)
+            return { enabled }
+        }
+    },
+    'PUT /osd': {
+        body: { enabled: isBoolean },
+        run: async(camera, { enabled }) => {
+            await camera.toggleOSD(enabled)
+            return { enabled }
+        }
+    },
+    'PUT /color-bar': {
+        body: { enabled: isBoolean },
+        run: async(camera, { enabled }) => {
+            await camera.toggleColorBar(enabled)
+            return { enabled }
+        }
+    },
+    'POST /brightness': { body: { delta: isSteps }, run: step('adjustBrightness') },
+    'POST /contrast': { body: { delta: isSteps }, run: step('adjustContrast') },
+    'POST /freeze-frame': {
+        run: async camera => {
+            await camera.toggleFreezeFrame()
+            return { ok: true }
+        }
+    },
+    'POST /invert': {
+        run: async camera => {
+            await camera.invertImage()
+            return { ok: true }
+        }
+    },
+    'POST /calibration/1-point': {
+        run: async camera => {
+            await camera.run1PointCalibration()
+            return { ok: true }
+        }
+    },
+    'POST /calibration/2-point': {
+        run: async camera => {
+            await camera.run2PointCalibration()
+            return { ok: true }
+        }
+    }
+}
+
+function validateBody(validators = {}, body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new RequestError(400, 'INVALID_BODY', 'Request body must be a JSON object')
+    }
+    const args = {}
+    for (const [field, validator] of Object.entries(validators)) {
+        if (!(field in body)) throw new RequestError(400, 'MISSING_FIELD', `Field "${field}" is required`, { field })
+        try {
+            args[field] = validator(body[field], field)
+        } catch (e) {
+            if (!(e instanceof ValidationError)) throw e
+            throw new RequestError(400, e.allowed ? 'INVALID_OPTION' : 'INVALID_VALUE', e.message, { field, ...e.allowed && { allowed: e.allowed } })
+        }
+    }
+    return args
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = []
+        let size = 0
+        req.on('data', chunk => {
+            size += chunk.length
+            if (size > MAX_BODY_SIZE) {
+                reject(new RequestError(413, 'BODY_TOO_LARGE', `Request body exceeds ${MAX_BODY_SIZE} bytes`))
+                req.destroy()
+                return
+            }
+            chunks.push(chunk)
+        })
+        req.on('end', () => {
+            if (!size) return resolve({})
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks)))
+            } catch {
+                reject(new RequestError(400, 'INVALID_JSON', 'Request body is not valid JSON'))
+            }
+        })
+        req.on('error', reject)
+    })
+}
+
+// Turn any error into a status code and a JSON error body, keeping the library's error code
+function toErrorResponse(e) {
+    if (e instanceof RequestError) {
+        return { status: e.status, body: { error: { code: e.code, message: e.message, ...e.details } } }
+    }
+    if (e instanceof ValidationError) {
+        return { status: 400, body: { error: { code: e.code, message: e.message, ...e.allowed && { allowed: e.allowed } } } }
+    }
+    let status = 502
+    if (e instanceof ResponseTimeoutError) status = 504
+    if (e instanceof NotConnectedError) status = 503
+    return { status, body: { error: { code: e.code ?? 'CAMERA_ERROR', message: e.message } } }
+}
+
+// HTTP REST and WebSocket control server for a Camera
+export class CameraServer extends EventEmitter {
+    constructor(camera, { cors = false } = {}) {
+        super()
+        this.camera = camera
+        this.cors = cors
+        this.server = createServer(this.handleRequest.bind(this))
+        this.wss = new WebSocketServer({ server: this.server, path: '/ws' })
+        this.wss.on('connection', this.attachClient.bind(this))
+        // Push every state change, including those made by other users of the camera
+        this.onStateChange = ({ changes }) => this.broadcast({ type: 'state', changes })
+        this.camera.on('stateChange', this.onStateChange)
+    }
+    address() {
+        return this.server.address()
+    }
+    attachClient(ws) {
+        ws.on('message', async data => {
+            // Never reject, an unhandled rejection would take the process down
+            try {
+                let message
+                try {
+                    message = JSON.parse(data)
+                } catch {
+                    throw new RequestError(400, 'INVALID_JSON', 'Message is not valid JSON')
+                }
+                if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+                    throw new RequestError(400, 'INVALID_BODY', 'Message must be a JSON object')
+                }
+                const { id, method = 'GET', path, body = {} } = message
+                const response = await this.dispatch(method, path, body)
+                ws.send(JSON.stringify({ type: 'response', id, ...response }))
+            } catch (e) {
+                if (!(e instanceof RequestError)) this.emit('requestError', e)
+                if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type: 'response', ...toErrorResponse(e) }))
+            }
+        })
+    }
+    // Push a message to every connected WebSocket client
+    broadcast(message) {
+        const data = JSON.stringify(message)
+        for (const client of this.wss.clients) {
+            if (client.readyState === client.OPEN) client.send(data)
+        }
+    }
+    close() {
+        this.camera.off('stateChange', this.onStateChange)
+        for (const client of this.wss.clients) {
+            client.terminate()
+        }
+        this.wss.close()
+        return new Promise(res => {
+            this.server.close(res)
+            this.server.closeAllConnections()
+        })
+    }
+    // Run a route and return its status and response body
+    async dispatch(method, path, body) {
+        const key = `${method} ${path}`
+        const route = ROUTES[key]
+        try {
+            if (!route) {
+                const exists = Object.keys(ROUTES).some(route => route.endsWith(` ${path}`))
+                throw exists ? new RequestError(405, 'METHOD_NOT_ALLOWED', `Method ${method} is not allowed for ${path}`) : new RequestError(404, 'NOT_FOUND', `No such endpoint: ${path}`)
+            }
+            const args = validateBody(route.body, body)
+            const result = await route.run(this.camera, args)
+            this.broadcast({ type: 'result', request: key, status: 200, body: result })
+            return { status: 200, body: result }
+        } catch (e) {
+            const response = toErrorResponse(e)
+            if (route) this.broadcast({ type: 'result', request: key, ...response })
+            this.emit('requestError', e)
+            return response
+        }
+    }
+    async handleRequest(req, res) {
+        const headers = { 'Content-Type': 'application/json' }
+        if (this.cors) {
+            headers['Access-Control-Allow-Origin'] = this.cors === true ? '*' : this.cors
+            headers['Access-Control-Allow-Methods'] = 'GET, PUT, POST, OPTIONS'
+            headers['Access-Control-Allow-Headers'] = 'Content-Type'
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, headers).end()
+            return
+        }
+        const { pathname } = new URL(req.url, 'http://localhost')
+        let response
+        try {
+            const body = await readBody(req)
+            response = await this.dispatch(req.method, pathname, body)
+        } catch (e) {
+            response = toErrorResponse(e)
+        }
+        res.writeHead(response.status, headers).end(JSON.stringify(response.body))
+    }
+    // Resolves once listening, rejects when the port can't be used, E.G. EADDRINUSE
+    listen(port = 8080, host) {
+        return new Promise((res, rej) => {
+            this.server.once('error', rej)
+            this.server.listen(port, host, () => {
+                this.server.off('error', rej)
+                res()
+            })
+        })
+    }
+}
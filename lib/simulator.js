@@ -0,0 +1,359 @@
+import { EventEmitter } from 'node:events'
+import { spawn } from 'node:child_process'
+import { createServer } from 'node:net'
+
+// Status counters as read from a bench-tested camera
+const DEFAULT_STATUS = {
+    numCoolerCycles: 22246,
+    numPowerCycles: 22371,
+    coolerTime: 1431779362
+}
+
+const CALIBRATION_TIME = 5000 // ms
+// Brightness and contrast stop changing at either end of this range
+const MAX_LEVEL = 255
+const COOL_DOWN_TIME = 7 * 60 * 1000 // ms
+
+// Power-on defaults for the image settings
+const DEFAULT_SETTINGS = {
+    imageInverted: false,
+    agcEnabled: false,
+    agc: 0,
+    nuc: 1,
+    lut: 1,
+    itt: 1,
+    contrast: 100,
+    brightness: 100,
+    frozen: false,
+    osd: true,
+    colorBar: false
+}
+
+// Simulated Raytheon Amber Radiance 1 camera, modeled after bench-testing a real unit
+export class Simulator extends EventEmitter {
+    constructor({ calibrationTime = CALIBRATION_TIME, coolDownTime = COOL_DOWN_TIME, busyWhileCalibrating = false, fragment = true, faults = {}, status = {}, verbose = false } = {}) {
+        super()
+        Object.assign(this, DEFAULT_SETTINGS)
+        this.cooler = true
+        this.coolerState = 'ready'
+        this.running1PointCalibration = false
+        this.running2PointCalibration = false
+        this.calibrationTime = calibrationTime
+        this.coolDownTime = coolDownTime
+        this.busyWhileCalibrating = busyWhileCalibrating
+        this.fragment = fragment
+        this.verbose = verbose
+        this.numCoolerCycles = status.numCoolerCycles ?? DEFAULT_STATUS.numCoolerCycles
+        this.numPowerCycles = status.numPowerCycles ?? DEFAULT_STATUS.numPowerCycles
+        this.coolerTime = status.coolerTime ?? DEFAULT_STATUS.coolerTime
+
+        // Fault injection
+        this.faults = {
+            drop: 0, // Probability of not replying at all
+            corrupt: 0, // Probability of sending a bad checksum
+            latency: 0, // Delay before replying (ms)
+            reject: [], // Functions to treat as unknown, by [function, subfunction]
+            ...faults
+        }
+        this.dropCount = 0
+        this.corruptCount = 0
+
+        this.clients = new Set()
+        this.timers = new Set()
+        this.ptyProcess = null
+    }
+    // Address of the TCP server, E.G. to find the port after listen(0)
+    address() {
+        return this.server?.address?.()
+    }
+    // Serve a connected socket, or any other Duplex stream such as one end of a loopback
+    attachClient(client) {
+        this.clients.add(client)
+        // Send each fragment as soon as it is written, like the serial line would
+        client.setNoDelay?.(true)
+        let buffer = Buffer.alloc(0)
+        client.on('data', data => {
+            buffer = this.receive(Buffer.concat([buffer, data]), client)
+        })
+        client.on('close', () => this.clients.delete(client))
+        client.on('error', () => this.clients.delete(client))
+        // Nothing is sent on startup
+    }
+    close() {
+        for (const timer of this.timers) {
+            clearTimeout(timer)
+        }
+        this.timers.clear()
+        this.ptyProcess?.kill()
+        for (const client of this.clients) {
+            client.destroy?.()
+        }
+        return new Promise(res => {
+            // Not listening when only used through attachClient()
+            if (!this.server) return res()
+            this.server.close(res)
+        })
+    }
+    // Send a bad checksum for the next `count` replies
+    corruptNext(count = 1) {
+        this.corruptCount += count
+    }
+    // Don't reply to the next `count` commands
+    dropNext(count = 1) {
+        this.dropCount += count
+    }
+    // Run a command and return its response data, or undefined for unknown functions
+    execute(functionCode, subFunctionCode, dataBlock) {
+        // Set commands without a value are ignored, like unknown functions
+        const value = dataBlock.length >= 2 ? dataBlock.readUInt16LE() : undefined
+        // AGC disable/enable
+        if (functionCode === 1 && subFunctionCode === 0) {
+            this.agcEnabled = false
+        } else if (functionCode === 1 && subFunctionCode === 1) {
+            this.agcEnabled = true
+        // Get AGC (only reports whether it is enabled)
+        } else if (functionCode === 1 && subFunctionCode === 2) {
+            return Buffer.from([this.agcEnabled ? 1 : 0, 0x00])
+        // Set AGC
+        } else if (functionCode === 1 && subFunctionCode === 3) {
+            if (value === undefined) return
+            this.agc = value
+        // Cooler off/on
+        } else if (functionCode === 3 && subFunctionCode === 2) {
+            this.setCooler(false)
+        } else if (functionCode === 3 && subFunctionCode === 3) {
+            this.setCooler(true)
+        // Status
+        } else if (functionCode === 3 && subFunctionCode === 5) {
+            const { numCoolerCycles, numPowerCycles, coolerTime } = this.getStatus()
+            const response = Buffer.alloc(8)
+            response.writeUInt16LE(numCoolerCycles & 0xffff, 0)
+            response.writeUInt16LE(numPowerCycles & 0xffff, 2)
+            response.writeUInt32LE(coolerTime >>> 0, 4)
+            return response
+        // Freeze frame
+        } else if (functionCode === 4 && subFunctionCode === 1) {
+            this.frozen = !this.frozen
+        // Change brightness
+        } else if (functionCode === 4 && subFunctionCode === 4) {
+            this.brightness = Math.min(this.brightness + 1, MAX_LEVEL)
+        } else if (functionCode === 4 && subFunctionCode === 5) {
+            this.brightness = Math.max(this.brightness - 1, 0)
+        // Change contrast
+        } else if (functionCode === 4 && subFunctionCode === 6) {
+            this.contrast = Math.min(this.contrast + 1, MAX_LEVEL)
+        } else if (functionCode === 4 && subFunctionCode === 7) {
+            this.contrast = Math.max(this.contrast - 1, 0)
+        // Invert image
+        } else if (functionCode === 5 && subFunctionCode === 0) {
+            this.imageInverted = !this.imageInverted
+        // Set LUT mode
+        } else if (functionCode === 5 && subFunctionCode === 1) {
+            if (value === undefined) return
+            this.lut = value
+        // Get LUT mode
+        } else if (functionCode === 5 && subFunctionCode === 2) {
+            return Buffer.from([this.lut, 0x00])
+        // Set ITT mode
+        } else if (functionCode === 5 && subFunctionCode === 4) {
+            if (value === undefined) return
+            this.itt = value
+        // Get ITT mode
+        } else if (functionCode === 5 && subFunctionCode === 5) {
+            return Buffer.from([this.itt, 0x00])
+        // Color bar overlay off/on
+        } else if (functionCode === 5 && subFunctionCode === 0xc) {
+            this.colorBar = false
+        } else if (functionCode === 5 && subFunctionCode === 0xd) {
+            this.colorBar = true
+        // OSD off/on
+        } else if (functionCode === 6 && subFunctionCode === 0) {
+            this.osd = false
+        } else if (functionCode === 6 && subFunctionCode === 1) {
+            this.osd = true
+        // Run 1 or 2 point calibration
+        // Two parameters are passed, one is the NUC, second one is unknown
+        } else if (functionCode === 7 && (subFunctionCode === 1 || subFunctionCode === 2)) {
+            this.startCalibration(subFunctionCode, value)
+        // Set NUC mode
+        } else if (functionCode === 7 && subFunctionCode === 5) {
+            if (value === undefined) return
+            this.nuc = value
+        // Get NUC mode
+        } else if (functionCode === 7 && subFunctionCode === 6) {
+            return Buffer.from([this.nuc, 0x00])
+        } else {
+            return
+        }
+        return Buffer.alloc(0)
+    }
+    getStatus() {
+        return {
+            numCoolerCycles: this.numCoolerCycles,
+            numPowerCycles: this.numPowerCycles,
+            coolerTime: this.coolerTime
+        }
+    }
+    handle(msg, client) {
+        const functionCode = msg[3]
+        const subFunctionCode = msg[4]
+        const messageID = msg[5]
+        const iStatus = msg[6]
+        const cStatus = msg[7]
+        const dataBlockSize = msg.readUInt16LE(8)
+        const dataBlock = msg.subarray(10, 10 + dataBlockSize)
+        const checkSum = msg[10 + dataBlockSize]
+        const footer1 = msg[10 + dataBlockSize + 1]
+        const footer2 = msg[10 + dataBlockSize + 2]
+        const footer3 = msg[10 + dataBlockSize + 3]
+
+        // Ensure rest of header matches expectation
+        if (iStatus !== 0xff || cStatus !== 0xff) return
+
+        // Ensure checksum matches
+        let expected = 0
+        for (let i = 0; i < 10 + dataBlockSize; i++) {
+            expected += msg[i]
+        }
+        if (expected % 256 !== checkSum) return
+
+        // Ensure footer matches
+        if (footer1 !== 2 ||
+            footer2 !== 0 ||
+            footer3 !== 0) return
+
+        // Unknown functions are silently ignored
+        if (this.isRejected(functionCode, subFunctionCode)) return
+        if (this.busyWhileCalibrating && (this.running1PointCalibration || this.running2PointCalibration)) return
+        const response = this.execute(functionCode, subFunctionCode, dataBlock)
+        if (!response) return
+        this.emit('command', { functionCode, subFunctionCode, messageID, dataBlock })
+
+        const reply = () => this.respond({ functionCode, subFunctionCode, messageID, response, client })
+        if (this.faults.latency) {
+            this.schedule(reply, this.faults.latency)
+        } else {
+            reply()
+        }
+    }
+    isRejected(functionCode, subFunctionCode) {
+        return this.faults.reject.some(([fn, sub]) => fn === functionCode && sub === subFunctionCode)
+    }
+    listen(port = 53000) {
+        // Serial mode
+        if (port instanceof Object) {
+            this.server = port
+            this.server.open()
+            let buffer = Buffer.alloc(0)
+            this.server.on('dataIn', data => {
+                buffer = this.receive(Buffer.concat([buffer, data]), port)
+            })
+            return
+        }
+        this.server = createServer(this.attachClient.bind(this))
+        // Rejects when the port can't be used, E.G. EADDRINUSE
+        return new Promise((res, rej) => {
+            this.server.once('error', rej)
+            this.server.listen(port, () => {
+                this.server.off('error', rej)
+                res()
+            })
+        })
+    }
+    // Expose the simulator on a pseudo-terminal by bridging it to a TCP port with socat
+    async listenPTY(path, port = 53000) {
+        await this.listen(port)
+        this.ptyProcess = spawn('socat', [`pty,raw,echo=0,link=${path}`, `tcp:127.0.0.1:${this.address().port}`], { stdio: 'ignore' })
+        await new Promise((res, rej) => {
+            this.ptyProcess.once('spawn', res)
+            this.ptyProcess.once('error', rej)
+        })
+    }
+    // Simulate the camera losing and regaining power
+    powerCycle() {
+        for (const timer of this.timers) {
+            clearTimeout(timer)
+        }
+        this.timers.clear()
+        Object.assign(this, DEFAULT_SETTINGS)
+        this.running1PointCalibration = false
+        this.running2PointCalibration = false
+        this.numPowerCycles++
+        if (this.cooler) {
+            this.cooler = false
+            this.setCooler(true)
+        }
+        this.emit('powerCycle')
+    }
+    // Handle every complete command in the buffer and return whatever is left over
+    receive(buffer, client) {
+        while (buffer.length >= 10) {
+            // Skip to the start of the next command
+            if (buffer[0] !== 3 || buffer[1] !== 0 || buffer[2] !== 1) {
+                buffer = buffer.subarray(1)
+                continue
+            }
+            const dataBlockSize = buffer.readUInt16LE(8)
+            if (buffer.length < 14 + dataBlockSize) break
+            const msg = buffer.subarray(0, 14 + dataBlockSize)
+            buffer = buffer.subarray(14 + dataBlockSize)
+            this.handle(msg, client)
+        }
+        return buffer
+    }
+    respond({ functionCode, subFunctionCode, messageID, response = Buffer.alloc(0), client = this.server }) {
+        if (this.dropCount) {
+            this.dropCount--
+            return
+        }
+        if (Math.random() < this.faults.drop) return
+
+        const dataBytes = response.length
+        const reply = Buffer.from([0x03, 0x00, 0x01, functionCode, subFunctionCode, messageID, 0x00, 0x00, dataBytes, 0x00, ...response, 0x00, 0x00, 0x00, 0x00])
+        const checkSum = reply.subarray(0, 10 + dataBytes).reduce((a, c) => a + c, 0) % 256
+        reply[10 + dataBytes] = checkSum
+        if (this.corruptCount || Math.random() < this.faults.corrupt) {
+            this.corruptCount = Math.max(0, this.corruptCount - 1)
+            reply[10 + dataBytes] = (checkSum + 1) % 256
+        }
+
+        if (!this.fragment) return client.write(reply)
+        // The device writes 1-3 bytes per time
+        for (let i = 0; i < reply.length;) {
+            const size = 1 + i % 3
+            client.write(reply.subarray(i, i + size))
+            i += size
+        }
+    }
+    schedule(fn, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer)
+            fn()
+        }, delay)
+        timer.unref()
+        this.timers.add(timer)
+    }
+    setCooler(enabled) {
+        if (enabled === this.cooler) return
+        this.cooler = enabled
+        if (!enabled) {
+            this.coolerState = 'off'
+            return
+        }
+        this.numCoolerCycles++
+        this.coolerState = 'cooling'
+        this.schedule(() => {
+            this.coolerState = 'ready'
+            this.emit('coolerReady')
+        }, this.coolDownTime)
+    }
+    startCalibration(subFunctionCode, nuc) {
+        const flag = subFunctionCode === 1 ? 'running1PointCalibration' : 'running2PointCalibration'
+        this[flag] = true
+        this.calibrationNUC = nuc
+        this.schedule(() => {
+            this[flag] = false
+            this.emit('calibrationComplete', { points: subFunctionCode, nuc })
+        }, this.calibrationTime)
+    }
+}
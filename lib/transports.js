@@ -0,0 +1,76 @@
+import { EventEmitter } from 'node:events'
+import { Duplex } from 'node:stream'
+import { NotConnectedError, ValidationError } from './errors.js'
+
+// Two in-memory streams wired to each other: whatever is written to one is read from the other.
+// Ending or destroying either end hangs up both.
+export function createLoopback() {
+    const ends = []
+    for (const index of [0, 1]) {
+        const other = () => ends[1 - index]
+        ends.push(new Duplex({
+            read() { /* Data is pushed by the other end */ },
+            write(chunk, encoding, callback) {
+                other().push(chunk)
+                callback()
+            },
+            final(callback) {
+                other().push(null)
+                callback()
+            },
+            destroy(error, callback) {
+                if (!other().destroyed) other().destroy()
+                callback(error)
+            }
+        }))
+    }
+    return ends
+}
+
+// Transport over any Duplex stream, E.G. a forwarded SSH channel. `stream` is the stream itself, or a function
+// that resolves to one when connecting.
+export class StreamDevice extends EventEmitter {
+    constructor({ stream }) {
+        super()
+        if (!stream) throw new ValidationError('The stream transport needs a `stream`', { value: stream })
+        this.source = stream
+        this.stream = null
+    }
+    close() {
+        this.stream?.destroy()
+        this.stream = null
+        return Promise.resolve()
+    }
+    async connect() {
+        const stream = typeof this.source === 'function' ? await this.source() : this.source
+        if (stream.destroyed) throw new NotConnectedError('The stream is already closed')
+        this.stream = stream
+        stream.on('data', data => this.emit('data', data))
+        stream.on('error', err => this.emit('error', err))
+        stream.on('close', () => this.emit('close'))
+        this.emit('connect')
+    }
+    send(data) {
+        if (!this.stream || this.stream.destroyed || this.stream.writableEnded) throw new NotConnectedError('The stream is closed')
+        this.stream.write(data)
+    }
+}
+
+// In-memory transport for tests. `peer` is handed the other end of a loopback on every connect: a Simulator
+// (or anything else with an attachClient() method) or a function.
+export class LoopbackDevice extends StreamDevice {
+    constructor({ peer }) {
+        if (!peer) throw new ValidationError('The loopback transport needs a `peer`, E.G. a Simulator', { value: peer })
+        super({
+            stream: () => {
+                const [local, remote] = createLoopback()
+                if (typeof peer === 'function') {
+                    peer(remote)
+                } else {
+                    peer.attachClient(remote)
+                }
+                return local
+            }
+        })
+    }
+}
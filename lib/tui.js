@@ -0,0 +1,240 @@
+import diagnosticsChannel from 'node:diagnostics_channel'
+import { EventEmitter } from 'node:events'
+import { emitKeypressEvents } from 'node:readline'
+import { CalibrationWorkflow } from './calibration.js'
+import { COMMAND_END_CHANNEL } from './diagnostics.js'
+import { MODES } from './protocol.js'
+
+const STATUS_INTERVAL = 2000 // ms
+const LOG_LINES = 10
+
+const ANSI = {
+    clear: '\x1b[H\x1b[2J',
+    clearLine: '\x1b[K',
+    home: '\x1b[H',
+    hideCursor: '\x1b[?25l',
+    showCursor: '\x1b[?25h',
+    bold: text => `\x1b[1m${text}\x1b[22m`,
+    dim: text => `\x1b[2m${text}\x1b[22m`
+}
+
+// Mode tables the panel cycles through, with the Camera methods to read and set them
+const MODE_FIELDS = {
+    nuc: { label: 'NUC', get: 'getNUC', set: 'setNUC' },
+    lut: { label: 'LUT', get: 'getLUT', set: 'setLUT' },
+    itt: { label: 'ITT', get: 'getITT', set: 'setITT' },
+    agc: { label: 'AGC', get: 'getAGCMode', set: 'setAGC' }
+}
+
+// Key bindings, by key name as reported by readline (with `S-` for shift and `C-` for control)
+//  * keys: Shown in the help line
+//  * run: Performs the action on the panel
+export const KEY_BINDINGS = {
+    up: { keys: '↑/↓', help: 'brightness', run: panel => panel.command('Brightness +1', camera => camera.adjustBrightness(1)) },
+    down: { run: panel => panel.command('Brightness -1', camera => camera.adjustBrightness(-1)) },
+    right: { keys: '→/←', help: 'contrast', run: panel => panel.command('Contrast +1', camera => camera.adjustContrast(1)) },
+    left: { run: panel => panel.command('Contrast -1', camera => camera.adjustContrast(-1)) },
+    n: { keys: 'n/N', help: 'NUC', run: panel => panel.cycle('nuc', 1) },
+    'S-n': { run: panel => panel.cycle('nuc', -1) },
+    l: { keys: 'l/L', help: 'LUT', run: panel => panel.cycle('lut', 1) },
+    'S-l': { run: panel => panel.cycle('lut', -1) },
+    i: { keys: 'i/I', help: 'ITT', run: panel => panel.cycle('itt', 1) },
+    'S-i': { run: panel => panel.cycle('itt', -1) },
+    a: { keys: 'a/A', help: 'AGC', run: panel => panel.cycle('agc', 1) },
+    'S-a': { run: panel => panel.cycle('agc', -1) },
+    // OSD and color bar can't be read back, so an unknown state is taken to be the power-on default
+    o: { keys: 'o', help: 'OSD', run: panel => panel.command('Toggle OSD', camera => camera.toggleOSD(!(camera.state.osd ?? true))) },
+    b: { keys: 'b', help: 'color bar', run: panel => panel.command('Toggle color bar', camera => camera.toggleColorBar(!(camera.state.colorBar ?? false))) },
+    f: { keys: 'f', help: 'freeze', run: panel => panel.command('Toggle freeze frame', camera => camera.toggleFreezeFrame()) },
+    v: { keys: 'v', help: 'invert', run: panel => panel.command('Invert image', camera => camera.invertImage()) },
+    1: { keys: '1/2', help: 'calibrate', run: panel => panel.calibrate(1) },
+    2: { run: panel => panel.calibrate(2) },
+    r: { keys: 'r', help: 'refresh', run: panel => panel.refresh() },
+    q: { keys: 'q', help: 'quit', run: panel => panel.stop() },
+    'C-c': { run: panel => panel.stop() }
+}
+
+function show(value) {
+    if (value === undefined) return '?'
+    if (typeof value === 'boolean') return value ? 'on' : 'off'
+    return String(value)
+}
+
+function time(date) {
+    return date.toTimeString().slice(0, 8)
+}
+
+// Render the panel as text lines. `view` holds the camera `state`, `status` counters, `log` entries, `busy`
+// message and `prompt`.
+export function renderPanel({ title, state, status, log, busy, prompt }, { logLines = LOG_LINES } = {}) {
+    const row = (...cells) => cells.map(([label, value]) => `${label.padEnd(15)}${show(value).padEnd(18)}`).join('').trimEnd()
+    const help = Object.values(KEY_BINDINGS).filter(binding => binding.keys).map(({ keys, help }) => `${ANSI.bold(keys)} ${help}`).join('  ')
+    const lines = [
+        `${ANSI.bold(title)}  ${state.connected ? 'connected' : 'disconnected'}${busy ? `  ${busy}…` : ''}`,
+        '',
+        row(['NUC', state.nuc], ['LUT', state.lut]),
+        row(['ITT', state.itt], ['AGC', state.agc]),
+        row(['OSD', state.osd], ['Color bar', state.colorBar]),
+        row(['Freeze', state.frozen], ['Invert', state.inverted]),
+        row(['Brightness', state.brightness], ['Contrast', state.contrast]),
+        row(['Power cycles', status?.numPowerCycles], ['Cooler cycles', status?.numCoolerCycles], ['Cooler time', status?.coolerTime]),
+        '',
+        ANSI.bold('Log'),
+        ...log.slice(-logLines).map(({ time: at, message }) => `${ANSI.dim(time(at))} ${message}`),
+        ...Array(Math.max(0, logLines - log.length)).fill(''),
+        '',
+        help,
+        prompt ? ANSI.bold(prompt.message) : ''
+    ]
+    return lines
+}
+
+// Interactive terminal control panel for live adjustment of a camera. Emits `exit` when the user quits.
+export class ControlPanel extends EventEmitter {
+    // `calibration`: Options for the CalibrationWorkflow of calibrations started from the panel
+    constructor(camera, { input = process.stdin, output = process.stdout, title = 'Amber Radiance 1', statusInterval = STATUS_INTERVAL, logLines = LOG_LINES, calibration = {} } = {}) {
+        super()
+        this.camera = camera
+        this.input = input
+        this.output = output
+        this.title = title
+        this.statusInterval = statusInterval
+        this.logLines = logLines
+        this.calibration = calibration
+        this.status = undefined
+        this.entries = []
+        this.busy = null
+        this.prompt = null
+        this.running = false
+        this.timer = null
+        this.scheduled = false
+        this.onKeypress = this.keypress.bind(this)
+        this.onCommandEnd = this.commandEnd.bind(this)
+        this.onStateChange = this.scheduleRender.bind(this)
+    }
+    // Ask the user to confirm a calibration, then run it and wait for it to finish
+    calibrate(points) {
+        const nuc = show(this.camera.state.nuc)
+        this.ask(`Run a ${points}-point calibration on NUC table ${nuc}? [y/N]`, async confirmed => {
+            if (!confirmed) return this.log(`${points}-point calibration cancelled`)
+            const workflow = new CalibrationWorkflow(this.camera, this.calibration)
+            workflow.on('progress', ({ message }) => message && this.log(message))
+            await this.command(`${points}-point calibration`, () => workflow.run({ points }))
+        })
+    }
+    ask(message, answer) {
+        this.prompt = { message, answer }
+        this.scheduleRender()
+    }
+    // Step a mode table forwards (1) or backwards (-1), reading the current mode first if it isn't known
+    async cycle(field, direction) {
+        const { label, get, set } = MODE_FIELDS[field]
+        await this.command(`${label} ${direction > 0 ? 'next' : 'previous'}`, async camera => {
+            const modes = Object.keys(MODES[field])
+            const current = camera.state[field] ?? await camera[get]()
+            const index = modes.indexOf(current)
+            // An unknown mode starts from either end of the table
+            const next = index < 0 ? modes.at(direction > 0 ? 0 : -1) : modes[(index + direction + modes.length) % modes.length]
+            await camera[set](next)
+        })
+    }
+    // Run a camera action, showing it as busy and logging failures instead of throwing
+    async command(description, action) {
+        this.busy = description
+        this.scheduleRender()
+        try {
+            await action(this.camera)
+        } catch (e) {
+            this.log(`${description} failed: ${e.message}`)
+        } finally {
+            if (this.busy === description) this.busy = null
+            this.scheduleRender()
+        }
+    }
+    // Log every command this camera sends, with its confirmation or error
+    commandEnd(message) {
+        if (message.camera !== this.camera) return
+        const name = message.function ?? `${message.command}/${message.subCommand}`
+        const data = message.data?.length ? ` [${message.data.join(', ')}]` : ''
+        const outcome = message.error ? `failed: ${message.error.message}` : 'ok'
+        this.log(`${name}${data} ${outcome} (${Math.round(message.latency)}ms)`)
+    }
+    keypress(text, key = {}) {
+        const name = `${key.ctrl ? 'C-' : ''}${key.shift ? 'S-' : ''}${key.name ?? text}`
+        if (this.prompt) {
+            const { answer } = this.prompt
+            this.prompt = null
+            if (name === 'C-c') return this.stop()
+            answer(name === 'y')
+            return
+        }
+        KEY_BINDINGS[name]?.run(this)
+    }
+    log(message) {
+        this.entries.push({ time: new Date(), message })
+        // Keep a screenful
+        if (this.entries.length > this.logLines) this.entries.splice(0, this.entries.length - this.logLines)
+        this.scheduleRender()
+    }
+    async pollStatus() {
+        try {
+            this.status = await this.camera.getStatus()
+        } catch (e) {
+            this.log(`Status failed: ${e.message}`)
+        }
+        this.scheduleRender()
+    }
+    // Read back the modes and status counters
+    async refresh() {
+        await this.command('Refreshing', async camera => {
+            for (const { get } of Object.values(MODE_FIELDS)) {
+                await camera[get]()
+            }
+        })
+        await this.pollStatus()
+    }
+    render() {
+        this.scheduled = false
+        if (!this.running) return
+        const lines = renderPanel({ title: this.title, state: this.camera.state, status: this.status, log: this.entries, busy: this.busy, prompt: this.prompt }, { logLines: this.logLines })
+        this.output.write(`${ANSI.home}${lines.map(line => `${line}${ANSI.clearLine}`).join('\n')}`)
+    }
+    // Redraw once per tick, however many changes come in
+    scheduleRender() {
+        if (this.scheduled || !this.running) return
+        this.scheduled = true
+        setImmediate(() => this.render())
+    }
+    // Take over the terminal and start polling the camera. The camera should already be connected.
+    async start() {
+        if (this.running) return
+        this.running = true
+        emitKeypressEvents(this.input)
+        if (this.input.isTTY) this.input.setRawMode(true)
+        this.input.on('keypress', this.onKeypress)
+        this.input.resume()
+        diagnosticsChannel.subscribe(COMMAND_END_CHANNEL, this.onCommandEnd)
+        this.camera.on('stateChange', this.onStateChange)
+        this.output.write(`${ANSI.hideCursor}${ANSI.clear}`)
+        this.scheduleRender()
+        await this.refresh()
+        const poll = async() => {
+            await this.pollStatus()
+            if (this.running) this.timer = setTimeout(poll, this.statusInterval)
+        }
+        if (this.running) this.timer = setTimeout(poll, this.statusInterval)
+    }
+    // Give the terminal back
+    stop() {
+        if (!this.running) return
+        this.running = false
+        clearTimeout(this.timer)
+        this.input.off('keypress', this.onKeypress)
+        if (this.input.isTTY) this.input.setRawMode(false)
+        this.input.pause()
+        diagnosticsChannel.unsubscribe(COMMAND_END_CHANNEL, this.onCommandEnd)
+        this.camera.off('stateChange', this.onStateChange)
+        this.output.write(`${ANSI.clear}${ANSI.showCursor}`)
+        this.emit('exit')
+    }
+}
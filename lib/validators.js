@@ -0,0 +1,26 @@
+import { ValidationError } from './errors.js'
+
+// Most brightness or contrast steps a single request may take
+export const MAX_STEPS = 100
+
+// Value checks shared by the control server, MQTT bridge and macros. Each returns the value to use or throws a
+// ValidationError, which callers turn into their own error type.
+export function oneOf(options) {
+    return (value, name) => {
+        const allowed = Object.keys(options)
+        if (!allowed.includes(value)) throw new ValidationError(`Invalid ${name} ${JSON.stringify(value)}. Available options are [${allowed.map(v => `"${v}"`).join(', ')}]`, { value, allowed })
+        return value
+    }
+}
+
+export function isBoolean(value, name) {
+    if (typeof value !== 'boolean') throw new ValidationError(`"${name}" must be true or false, got ${JSON.stringify(value)}`, { value })
+    return value
+}
+
+export function isSteps(value, name) {
+    if (!Number.isInteger(value) || value === 0 || Math.abs(value) > MAX_STEPS) {
+        throw new ValidationError(`"${name}" must be a non-zero integer between -${MAX_STEPS} and ${MAX_STEPS}, got ${JSON.stringify(value)}`, { value })
+    }
+    return value
+}
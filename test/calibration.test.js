@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { allNUCTables, CalibrationWorkflow, PreconditionError } from '../lib/calibration.js'
+import { CoolerManager } from '../lib/cooler.js'
+import { Camera } from '../index.js'
+
+let simulator, camera, workflow
+
+describe('Calibration Workflow', () => {
+    beforeEach(async() => {
+        simulator = new Simulator({ calibrationTime: 30, busyWhileCalibrating: true })
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port })
+        await camera.connect()
+        workflow = new CalibrationWorkflow(camera, { duration: 5, pollInterval: 5, pollTimeout: 20, timeout: 1000 })
+    })
+
+    afterEach(async() => {
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('waits for a calibration to finish', async() => {
+        const stages = []
+        workflow.on('progress', ({ stage }) => stages.push(stage))
+        const [result] = await workflow.run({ points: 2, nuc: 'warm' })
+        assert.equal(simulator.running2PointCalibration, false)
+        assert.equal(simulator.calibrationNUC, 3)
+        assert.ok(result.duration >= 30)
+        assert.equal(result.completion, 'detected')
+        assert.deepEqual(stages, ['preconditions', 'preconditions', 'nuc', 'calibrating', 'waiting', 'complete'])
+    })
+    it('refuses to calibrate with the cooler off', async() => {
+        await camera.setCooler(false)
+        await assert.rejects(() => workflow.run({ points: 1 }), PreconditionError)
+        assert.equal(simulator.running1PointCalibration, false)
+    })
+    it('assumes completion when the camera keeps answering', async() => {
+        simulator.busyWhileCalibrating = false
+        const warnings = []
+        workflow.on('progress', ({ warning, message }) => warning && warnings.push(message))
+        const [result] = await workflow.run({ points: 1 })
+        assert.equal(result.completion, 'assumed')
+        assert.ok(result.duration >= 5)
+        assert.match(warnings.at(-1), /kept answering/)
+    })
+    it('checks the cooler manager when one is attached', async() => {
+        const cooler = new CoolerManager(camera, { coolDownTime: 5000, minOffTime: 0 })
+        workflow = new CalibrationWorkflow(camera, { cooler, duration: 5, pollInterval: 5, pollTimeout: 20, timeout: 1000 })
+        const warnings = []
+        workflow.on('progress', ({ warning, message }) => warning && warnings.push(message))
+        try {
+            await cooler.turnOn()
+            await assert.rejects(() => workflow.run({ points: 1 }), /has not cooled down yet/)
+            cooler.transition('ready')
+            await workflow.run({ points: 1 })
+            assert.deepEqual(warnings, [])
+        } finally {
+            cooler.close()
+        }
+    })
+    it('warns when the cooler state is unknown', async() => {
+        const warnings = []
+        workflow.on('progress', ({ warning, message }) => warning && warnings.push(message))
+        await workflow.run({ points: 1 })
+        assert.match(warnings[0], /Cooler state is unknown/)
+    })
+    it('refuses to calibrate an unresponsive camera', async() => {
+        simulator.faults.drop = 1
+        await assert.rejects(() => workflow.run({ points: 1 }), /Camera is not responding/)
+    })
+    it('gives up when the camera stays busy', async() => {
+        simulator.calibrationTime = 5000
+        workflow.timeout = 50
+        await assert.rejects(() => workflow.run({ points: 1 }), { code: 'RESPONSE_TIMEOUT', timeout: 50, message: /did not finish within 50ms/ })
+    })
+    it('pauses between the steps of a sequence', async() => {
+        const prompts = []
+        workflow.on('pause', step => {
+            prompts.push(step.prompt)
+            workflow.resume()
+        })
+        const results = await workflow.runSequence(allNUCTables(1))
+        assert.deepEqual(results.map(result => result.nuc), ['cold', 'mid', 'warm', 'hot'])
+        assert.equal(prompts.length, 4)
+        assert.match(prompts[0], /cold blackbody/)
+        assert.equal(simulator.nuc, 4)
+    })
+    it('asks for confirmation through a callback', async() => {
+        workflow.confirm = () => false
+        await assert.rejects(() => workflow.runSequence(allNUCTables()), { code: 'CANCELLED', message: /cancelled by operator/ })
+        assert.equal(simulator.running2PointCalibration, false)
+    })
+    it('can be aborted', async() => {
+        const controller = new AbortController()
+        workflow.on('pause', () => controller.abort())
+        await assert.rejects(() => workflow.runSequence(allNUCTables(), { signal: controller.signal }), { name: 'AbortError' })
+        assert.equal(workflow.running, false)
+    })
+    it('runs one calibration at a time', async() => {
+        const running = workflow.run({ points: 1 })
+        await assert.rejects(() => workflow.run({ points: 1 }), { code: 'BUSY', message: /already running/ })
+        await running
+    })
+    it('validates steps', async() => {
+        await assert.rejects(() => workflow.run({ points: 3 }), /must be 1 or 2/)
+        await assert.rejects(() => workflow.run({ nuc: 'lukewarm' }), /Option "lukewarm" is invalid/)
+    })
+})
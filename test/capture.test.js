@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { Simulator } from '../lib/simulator.js'
+import { formatRecord, readCapture, replay, ReplayServer, TrafficCapture } from '../lib/capture.js'
+import { Camera } from '../index.js'
+
+let directory, path, simulator, camera
+
+describe('Traffic Capture', () => {
+    beforeEach(async() => {
+        directory = await mkdtemp(join(tmpdir(), 'amber-capture-'))
+        path = join(directory, 'session.jsonl')
+        simulator = new Simulator()
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port, responseTimeout: 100 })
+        await camera.connect()
+    })
+
+    afterEach(async() => {
+        await camera.close()
+        await simulator.close()
+        await rm(directory, { recursive: true, force: true })
+    })
+
+    // Record a short session, including a corrupted reply and an unanswered command
+    async function record() {
+        const capture = new TrafficCapture(camera, { path })
+        capture.start()
+        simulator.nuc = 3
+        await camera.getNUC()
+        await camera.setLUT('sepia')
+        simulator.corruptNext()
+        await assert.rejects(() => camera.getITT(), { name: 'ChecksumError' })
+        simulator.dropNext()
+        await assert.rejects(() => camera.getAGC(), { name: 'ResponseTimeoutError', code: 'RESPONSE_TIMEOUT' })
+        await capture.stop()
+        return readCapture(path)
+    }
+
+    it('records frames in both directions', async() => {
+        const records = await record()
+        const frames = records.filter(record => !record.error)
+        assert.deepEqual(frames.map(record => `${record.direction} ${record.function}`), [
+            'out NUC_GET',
+            'in NUC_GET',
+            'out LUT_SET',
+            'in LUT_SET',
+            'out ITT_GET',
+            'out AGC_GET'
+        ])
+        assert.equal(frames[1].data, '03000107060100000200030017000000')
+        assert.ok(frames.every(record => !isNaN(Date.parse(record.time)) && record.elapsed >= 0))
+        const checksum = records.find(record => record.error === 'checksum')
+        assert.equal(checksum.function, 'ITT_GET')
+        assert.equal(checksum.data.length, 2)
+    })
+    it('pretty-prints records', async() => {
+        const [request, reply] = await record()
+        const lines = formatRecord(request).split('\n')
+        assert.match(lines[0], /^\S+ >>> NUC_GET #\d+$/)
+        assert.match(lines[4], /^ {4}07 +Function 7 \(NUC_GET\)$/)
+        assert.match(formatRecord(reply), /Data count 2\n {4}03 00 +Data\n {4}\S\S +Checksum OK/)
+    })
+    it('feeds a recording to a camera', async() => {
+        const records = await record()
+        const frames = []
+        const errors = []
+        camera.on('unsolicited', frame => frames.push(frame))
+        camera.on('protocolError', error => errors.push(error))
+        await replay(camera, records, { speed: Infinity })
+        assert.deepEqual(frames.map(frame => frame.subCommand), [6, 1])
+        assert.deepEqual(errors.map(error => error.reason), ['checksum', 'resync'])
+    })
+    it('answers as a fake camera', async() => {
+        const records = await record()
+        const server = new ReplayServer(records)
+        await server.listen(0)
+        const replayed = new Camera({ host: '127.0.0.1', port: server.address().port, responseTimeout: 100 })
+        await replayed.connect()
+        try {
+            assert.equal(await replayed.getNUC(), 'warm')
+            await replayed.setLUT('sepia')
+            await assert.rejects(() => replayed.getITT(), { name: 'ChecksumError' })
+            await assert.rejects(() => replayed.getAGC(), { name: 'ResponseTimeoutError', code: 'RESPONSE_TIMEOUT' })
+            // Commands that were never recorded go unanswered
+            await assert.rejects(() => replayed.setLUT('color'), { name: 'ResponseTimeoutError', code: 'RESPONSE_TIMEOUT' })
+        } finally {
+            await replayed.close()
+            await server.close()
+        }
+    })
+})
@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { PassThrough, Writable } from 'node:stream'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { createServer } from 'node:net'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { Simulator } from '../lib/simulator.js'
+import { main } from '../lib/cli.js'
+import { readCapture } from '../lib/capture.js'
+import { LUT_MODES, NUC_MODES } from '../lib/protocol.js'
+
+let simulator
+
+// Run the CLI against the simulator, capturing its output
+async function run(...argv) {
+    const output = { stdout: '', stderr: '' }
+    const capture = name => new Writable({
+        write(chunk, encoding, cb) {
+            output[name] += chunk
+            cb()
+        }
+    })
+    const code = await main(['--host', '127.0.0.1', '--port', String(simulator.address().port), ...argv], { stdout: capture('stdout'), stderr: capture('stderr') })
+    return { code, ...output }
+}
+
+describe('Command Line Tool', () => {
+    beforeEach(async() => {
+        simulator = new Simulator()
+        await simulator.listen(0)
+    })
+
+    afterEach(async() => {
+        await simulator.close()
+    })
+
+    it('prints camera status', async() => {
+        const { code, stdout } = await run('status')
+        assert.equal(code, 0)
+        assert.match(stdout, /numCoolerCycles: 22246/)
+        assert.match(stdout, /numPowerCycles: 22371/)
+    })
+    it('captures traffic to a file', async() => {
+        const directory = await mkdtemp(join(tmpdir(), 'amber-cli-'))
+        try {
+            const path = join(directory, 'status.jsonl')
+            await run('--capture', path, 'status')
+            const records = await readCapture(path)
+            assert.deepEqual(records.map(record => `${record.direction} ${record.function}`), ['out STATUS_GET', 'in STATUS_GET'])
+        } finally {
+            await rm(directory, { recursive: true, force: true })
+        }
+    })
+    it('prints JSON', async() => {
+        const { stdout } = await run('--json', 'status')
+        assert.equal(JSON.parse(stdout).numPowerCycles, 22371)
+    })
+    it('gets and sets modes', async() => {
+        assert.equal((await run('nuc', 'set', 'hot')).code, 0)
+        assert.equal(simulator.nuc, 4)
+        assert.equal((await run('lut', 'color')).code, 0)
+        assert.equal(simulator.lut, 2)
+        const { stdout } = await run('--json', 'nuc', 'get')
+        assert.deepEqual(JSON.parse(stdout), { nuc: 'hot' })
+    })
+    it('steps brightness and contrast', async() => {
+        await run('brightness', '-3')
+        assert.equal(simulator.brightness, 97)
+        await run('contrast', '+2')
+        assert.equal(simulator.contrast, 102)
+    })
+    it('switches the cooler, OSD and color bar', async() => {
+        await run('cooler', 'off')
+        assert.equal(simulator.cooler, false)
+        await run('osd', 'off')
+        assert.equal(simulator.osd, false)
+        await run('colorbar', 'on')
+        assert.equal(simulator.colorBar, true)
+    })
+    it('runs calibrations', async() => {
+        await run('calibrate', '2pt')
+        assert.equal(simulator.running2PointCalibration, true)
+    })
+    it('watches status', async() => {
+        const { code, stdout } = await run('--json', '--interval', '10', '--count', '2', 'watch')
+        assert.equal(code, 0)
+        const lines = stdout.trim().split('\n').map(line => JSON.parse(line))
+        assert.equal(lines.length, 2)
+        assert.equal(lines[1].numCoolerCycles, 22246)
+    })
+    it('scans function codes', async() => {
+        const { code, stdout } = await run('--timeout', '30', '--functions', '7', '--subfunctions', '0-6', 'scan')
+        assert.equal(code, 0)
+        assert.match(stdout, /Probed 4 codes \(3 skipped\), 1 replied/)
+        assert.match(stdout, /NUC_GET: \[7, 6\], \/\/ data reply, 2 bytes: 0100 \(known\)/)
+        assert.equal(simulator.running1PointCalibration, false)
+        assert.equal(simulator.nuc, 1)
+    })
+    it('runs macros', async() => {
+        const directory = await mkdtemp(join(tmpdir(), 'amber-cli-'))
+        const path = join(directory, 'macros.yaml')
+        try {
+            await writeFile(path, 'night:\n  steps:\n    - nuc: hot\n    - lut: color\nfrozen:\n  on: connect\n  steps:\n    - freezeFrame: true\n')
+            const { code, stdout } = await run('--macros', path, 'macro', 'night')
+            assert.equal(code, 0)
+            assert.match(stdout, /^night step 1 nuc "hot": ok/)
+            assert.equal(simulator.nuc, NUC_MODES.hot)
+            assert.equal(simulator.lut, LUT_MODES.color)
+            // The frozen state isn't known right after connecting
+            const failed = await run('--json', '--macros', path, '--interval', '10', '--count', '2', 'schedule')
+            assert.equal(failed.code, 0)
+            const result = JSON.parse(failed.stdout)
+            assert.equal(result.trigger, 'connect')
+            assert.equal(result.ok, false)
+            assert.match(result.steps[0].error, /unknown/i)
+            assert.equal((await run('--macros', path, 'macro', 'morning')).code, 2)
+            assert.equal((await run('macro', 'night')).code, 2)
+        } finally {
+            await rm(directory, { recursive: true })
+        }
+    })
+    it('runs the control panel until quit', async() => {
+        const stdin = new PassThrough()
+        let screen = ''
+        const stdout = new Writable({
+            write(chunk, encoding, cb) {
+                screen += chunk
+                cb()
+            }
+        })
+        const exited = main(['--host', '127.0.0.1', '--port', String(simulator.address().port), 'tui'], { stdin, stdout, stderr: stdout })
+        stdin.write('n')
+        while (simulator.nuc !== NUC_MODES.mid) await sleep(5)
+        stdin.write('q')
+        assert.equal(await exited, 0)
+        assert.match(screen, /NUC\s+cold/)
+    })
+    it('serves metrics until interrupted', async() => {
+        const controller = new AbortController()
+        let stderr = ''
+        const output = new Writable({
+            write(chunk, encoding, cb) {
+                stderr += chunk
+                cb()
+            }
+        })
+        const exited = main(['--host', '127.0.0.1', '--port', String(simulator.address().port), '--listen', '0', 'metrics'], { stdout: output, stderr: output, signal: controller.signal })
+        while (!stderr.includes('/metrics')) await sleep(5)
+        const [, port] = stderr.match(/:(\d+)\/metrics/)
+        const text = await (await fetch(`http://127.0.0.1:${port}/metrics`)).text()
+        assert.match(text, /^amber_connected\{camera="default"\} 1$/m)
+        controller.abort()
+        assert.equal(await exited, 0)
+    })
+    it('fails when the metrics port is taken', async() => {
+        const taken = createServer()
+        await new Promise(res => taken.listen(0, '127.0.0.1', res))
+        const { code, stderr } = await run('--listen', String(taken.address().port), 'metrics')
+        await new Promise(res => taken.close(res))
+        assert.equal(code, 1)
+        assert.match(stderr, /EADDRINUSE/)
+    })
+    it('rejects invalid input', async() => {
+        assert.equal((await run('--functions', '2-1', 'scan')).code, 2)
+        assert.equal((await run('cooler', 'maybe')).code, 2)
+        assert.equal((await run('teleport')).code, 2)
+        const { code, stderr } = await run('nuc', 'set', 'lukewarm')
+        assert.equal(code, 1)
+        assert.match(stderr, /Option "lukewarm" is invalid/)
+    })
+})
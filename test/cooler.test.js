@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { CoolerLockoutError, CoolerManager, decodeCoolerStatus } from '../lib/cooler.js'
+import { Camera } from '../index.js'
+
+let simulator, camera, cooler
+
+describe('Cooler Management', () => {
+    beforeEach(async() => {
+        simulator = new Simulator({ coolDownTime: 30 })
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port })
+        await camera.connect()
+        cooler = new CoolerManager(camera, { coolDownTime: 30, minOffTime: 50 })
+    })
+
+    afterEach(async() => {
+        cooler.close()
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('starts in an unknown state', () => {
+        assert.equal(cooler.state, 'unknown')
+        assert.equal(cooler.readyIn, undefined)
+    })
+    it('goes through cooling to ready', async() => {
+        const states = []
+        cooler.on('stateChange', ({ state }) => states.push(state))
+        await cooler.turnOff()
+        await new Promise(res => setTimeout(res, 50))
+        await cooler.turnOn()
+        assert.equal(cooler.state, 'cooling')
+        assert.ok(cooler.readyIn > 0)
+        await cooler.waitUntilReady()
+        assert.equal(cooler.readyIn, 0)
+        assert.deepEqual(states, ['off', 'cooling', 'ready'])
+        assert.equal(simulator.cooler, true)
+    })
+    it('enforces the minimum off-time', async() => {
+        await cooler.turnOff()
+        assert.equal(simulator.cooler, false)
+        await assert.rejects(() => cooler.turnOn(), CoolerLockoutError)
+        assert.equal(simulator.cooler, false)
+        assert.ok(cooler.lockoutRemaining > 0)
+        await cooler.turnOn({ force: true })
+        assert.equal(simulator.cooler, true)
+    })
+    it('allows for timers firing a little early', async() => {
+        await cooler.turnOff()
+        cooler.offSince = Date.now() - cooler.minOffTime + 3
+        assert.equal(cooler.lockoutRemaining, 0)
+        await cooler.turnOn()
+        assert.equal(cooler.state, 'cooling')
+    })
+    it('follows cooler changes made through the camera', async() => {
+        await camera.setCooler(true)
+        assert.equal(cooler.state, 'cooling')
+        await cooler.waitUntilReady()
+        await camera.setCooler(false)
+        assert.equal(cooler.state, 'off')
+        assert.ok(cooler.lockoutRemaining > 0)
+        await assert.rejects(() => cooler.turnOn(), CoolerLockoutError)
+    })
+    it('cycles the cooler', async() => {
+        const before = simulator.numCoolerCycles
+        const states = []
+        cooler.on('stateChange', ({ state }) => states.push(state))
+        const started = Date.now()
+        await cooler.cycle()
+        assert.ok(Date.now() - started >= 50)
+        await cooler.waitUntilReady()
+        assert.deepEqual(states, ['cycling', 'cooling', 'ready'])
+        assert.equal(simulator.numCoolerCycles, before + 1)
+    })
+    it('stops waiting when the cooler is turned off', async() => {
+        await cooler.turnOff()
+        await assert.rejects(() => cooler.waitUntilReady(), { code: 'INVALID_STATE', state: 'off', message: /cooler is off/ })
+        await cooler.turnOn({ force: true })
+        const waiting = cooler.waitUntilReady()
+        await cooler.turnOff()
+        await assert.rejects(waiting, { code: 'INVALID_STATE', message: /cooler is off/ })
+    })
+    it('decodes the cooler counters', async() => {
+        assert.deepEqual(decodeCoolerStatus({ numCoolerCycles: 100, numPowerCycles: 50, coolerTime: 1431779362 }), {
+            cycles: 100,
+            powerCycles: 50,
+            coolerTime: 1431779362
+        })
+        const statistics = await cooler.getStatistics()
+        assert.equal(statistics.cycles, 22246)
+        assert.equal(statistics.powerCycles, 22371)
+        assert.equal(statistics.coolerTime, 1431779362)
+    })
+})
@@ -27,18 +27,25 @@ mock.module('@appliedminds/serial', {
     namedExports: { Device: MockSerialDevice }
 })
 
-const { MockCamera } = await import('./device.mocks.js')
-const { Camera } = await import('../index.js')
+const { Simulator } = await import('../lib/simulator.js')
+const { Camera, ChecksumError, NotConnectedError, ResponseTimeoutError, ValidationError } = await import('../index.js')
 
 let mockHardware, device
 
+// Build a reply frame the way the camera sends it
+function createReply(functionCode, subFunctionCode, messageID, response = []) {
+    const frame = Buffer.from([3, 0, 1, functionCode, subFunctionCode, messageID, 0, 0, response.length, 0, ...response, 0, 0, 0, 0])
+    frame[10 + response.length] = frame.subarray(0, 10 + response.length).reduce((a, c) => a + c, 0) % 256
+    return frame
+}
+
 describe('Amber Radiance 1 (TCP Transport)', () => {
     beforeEach(async() => {
         // Start fake server
-        mockHardware = new MockCamera()
-        await mockHardware.listen()
+        mockHardware = new Simulator()
+        await mockHardware.listen(0)
         // Start our client
-        device = new Camera({ host: '127.0.0.1', port: 53000 })
+        device = new Camera({ host: '127.0.0.1', port: mockHardware.address().port })
     })
 
     afterEach(async() => {
@@ -68,13 +75,16 @@ describe('Amber Radiance 1 (TCP Transport)', () => {
         })
         it('runs 1 point calibration', async() => {
             await device.connect()
+            await device.setNUC('warm')
             await device.run1PointCalibration()
             assert.equal(mockHardware.running1PointCalibration, true)
+            assert.equal(mockHardware.calibrationNUC, 3)
         })
         it('runs 2 point calibration', async() => {
             await device.connect()
             await device.run2PointCalibration()
             assert.equal(mockHardware.running2PointCalibration, true)
+            assert.equal(mockHardware.calibrationNUC, 1)
         })
         it('sets automatic gain control', async() => {
             await device.connect()
@@ -134,13 +144,250 @@ describe('Amber Radiance 1 (TCP Transport)', () => {
             assert.equal(status.coolerTime, 1431779362)
         })
     })
+    describe('Brightness and Contrast Levels', () => {
+        it('steps a number of times', async() => {
+            await device.connect()
+            await device.adjustBrightness(-10)
+            assert.equal(mockHardware.brightness, 90)
+            await device.adjustContrast(4)
+            assert.equal(mockHardware.contrast, 104)
+        })
+        it('sets absolute levels from a reference point', async() => {
+            await device.connect()
+            device.setLevelReference({ brightness: 100, contrast: 100 })
+            await device.setBrightnessLevel(105)
+            await device.setContrastLevel(97)
+            assert.equal(mockHardware.brightness, 105)
+            assert.equal(mockHardware.contrast, 97)
+            await device.setBrightness(1)
+            assert.deepEqual(device.levels, { brightness: 106, contrast: 97 })
+        })
+        it('requires a reference point', async() => {
+            await device.connect()
+            await assert.rejects(() => device.setBrightnessLevel(10), /The brightness level is unknown/)
+            assert.throws(() => device.setLevelReference({ contrast: 300 }), /between 0 and 255/)
+        })
+        it('finds a reference point by stepping to the bottom', async() => {
+            device.levelRange = 120
+            await device.connect()
+            await device.resetBrightness()
+            assert.equal(mockHardware.brightness, 0)
+            assert.equal(device.levels.brightness, 0)
+            await device.setBrightnessLevel(3)
+            assert.equal(mockHardware.brightness, 3)
+        })
+        it('coalesces rapid level changes', async() => {
+            await device.connect()
+            device.setLevelReference({ contrast: 100 })
+            let received = 0
+            mockHardware.on('command', () => received++)
+            const updates = []
+            for (let level = 101; level <= 130; level++) {
+                updates.push(device.setContrastLevel(level))
+            }
+            updates.push(device.setContrastLevel(110))
+            await Promise.all(updates)
+            assert.equal(mockHardware.contrast, 110)
+            assert.equal(device.levels.contrast, 110)
+            assert.ok(received < 20)
+        })
+        it('forgets the level after a failed step', async() => {
+            await device.connect()
+            device.setLevelReference({ brightness: 100 })
+            mockHardware.faults.drop = 1
+            await assert.rejects(() => device.setBrightnessLevel(90, { timeout: 10 }), /timeout/)
+            assert.equal(device.levels.brightness, undefined)
+        })
+    })
+    describe('Profiles', () => {
+        it('captures the active settings', async() => {
+            await device.connect()
+            await device.setNUC('warm')
+            await device.setAGC('center')
+            await device.toggleOSD(false)
+            const profile = await device.captureProfile()
+            assert.deepEqual(profile, { nuc: 'warm', lut: 'black-and-white', itt: 'linear', agc: 'center', osd: false })
+        })
+        it('captures AGC as off when disabled', async() => {
+            await device.connect()
+            const profile = await device.captureProfile()
+            assert.equal(profile.agc, 'off')
+            assert.equal('osd' in profile, false)
+        })
+        it('applies a profile with only the commands needed', async() => {
+            await device.connect()
+            await device.captureProfile()
+            await device.setAGC('full')
+            const received = []
+            mockHardware.on('command', ({ functionCode, subFunctionCode }) => received.push([functionCode, subFunctionCode]))
+            const changed = await device.applyProfile({ nuc: 'cold', lut: 'color', itt: 'linear', agc: 'horizon', colorBar: true })
+            assert.deepEqual(changed, ['lut', 'agc', 'colorBar'])
+            assert.deepEqual(received, [[5, 1], [1, 3], [5, 0x0d]])
+            assert.equal(mockHardware.lut, 2)
+            assert.equal(mockHardware.agc, 3)
+            assert.equal(mockHardware.colorBar, true)
+        })
+        it('applies every setting when forced', async() => {
+            await device.connect()
+            await device.captureProfile()
+            const changed = await device.applyProfile({ nuc: 'cold', lut: 'black-and-white' }, { force: true })
+            assert.deepEqual(changed, ['nuc', 'lut'])
+        })
+        it('validates profiles', async() => {
+            await assert.rejects(() => device.applyProfile({ nuc: 'tepid' }), /Option "tepid" is invalid/)
+        })
+    })
+    describe('Command Queue', () => {
+        it('keeps one command in flight at a time', async() => {
+            await device.connect()
+            const inFlight = []
+            const send = device.controller.send.bind(device.controller)
+            mock.method(device.controller, 'send', packet => {
+                inFlight.push(device.pending.size)
+                send(packet)
+            })
+            await Promise.all(Array.from({ length: 10 }, () => device.setBrightness(1)))
+            assert.equal(mockHardware.brightness, 110)
+            assert.deepEqual(inFlight, Array(10).fill(1))
+        })
+        it('wraps message IDs after 255 commands', async() => {
+            await device.connect()
+            device.messageNumber = 254
+            for (let i = 0; i < 3; i++) {
+                await device.setBrightness(1)
+            }
+            assert.equal(mockHardware.brightness, 103)
+            assert.equal(device.messageNumber, 2)
+        })
+        it('skips message IDs that are still awaiting a reply', () => {
+            device.messageNumber = 255
+            device.pending.set(1, {})
+            device.pending.set(2, {})
+            assert.equal(device.nextMessageID(), 3)
+            device.pending.clear()
+        })
+    })
+    describe('Frame Decoding', () => {
+        it('handles every frame in a chunk', () => {
+            const frames = []
+            device.on('unsolicited', frame => frames.push(frame))
+            device.receive(Buffer.concat([createReply(7, 6, 10, [2, 0]), createReply(5, 2, 11, [3, 0])]))
+            assert.equal(frames.length, 2)
+            assert.deepEqual(frames.map(f => f.messageID), [10, 11])
+            assert.deepEqual(frames[1].response, Buffer.from([3, 0]))
+        })
+        it('reassembles frames split across chunks', () => {
+            const frames = []
+            device.on('unsolicited', frame => frames.push(frame))
+            const reply = createReply(3, 5, 4, [1, 2, 3, 4, 5, 6, 7, 8])
+            for (let i = 0; i < reply.length; i += 3) {
+                device.receive(reply.subarray(i, i + 3))
+            }
+            assert.equal(frames.length, 1)
+            assert.equal(frames[0].command, 3)
+            assert.equal(frames[0].subCommand, 5)
+            assert.deepEqual(frames[0].frame, reply)
+        })
+        it('resynchronizes after line noise', () => {
+            const frames = []
+            const errors = []
+            device.on('unsolicited', frame => frames.push(frame))
+            device.on('protocolError', error => errors.push(error))
+            const reply = createReply(4, 1, 20)
+            device.receive(Buffer.from([0xaa, 0x03, 0x55]))
+            device.receive(Buffer.concat([Buffer.from([0x00, 0x03]), reply.subarray(0, 2)]))
+            device.receive(reply.subarray(2))
+            assert.equal(frames.length, 1)
+            assert.equal(frames[0].messageID, 20)
+            assert.deepEqual(errors.map(e => e.reason), ['resync', 'resync'])
+            assert.deepEqual(errors[0].data, Buffer.from([0xaa, 0x03, 0x55]))
+            assert.deepEqual(errors[1].data, Buffer.from([0x00, 0x03]))
+        })
+        it('drops frames with a bad checksum', () => {
+            const frames = []
+            const errors = []
+            device.on('unsolicited', frame => frames.push(frame))
+            device.on('protocolError', error => errors.push(error))
+            const corrupt = createReply(5, 5, 30, [1, 0])
+            corrupt[12]++
+            assert.doesNotThrow(() => device.receive(Buffer.concat([corrupt, createReply(5, 5, 31, [2, 0])])))
+            assert.deepEqual(frames.map(f => f.messageID), [31])
+            assert.equal(errors[0].reason, 'checksum')
+            assert.equal(errors[0].messageID, 30)
+            assert.deepEqual(errors[0].data, corrupt)
+        })
+        it('does not wait on an implausible data count', () => {
+            const frames = []
+            const errors = []
+            device.on('unsolicited', frame => frames.push(frame))
+            device.on('protocolError', error => errors.push(error))
+            device.receive(Buffer.concat([Buffer.from([3, 0, 1, 0, 0, 0, 0, 0, 0xff, 0xff]), createReply(6, 1, 40)]))
+            assert.equal(errors[0].reason, 'length')
+            assert.deepEqual(frames.map(f => f.messageID), [40])
+        })
+        it('reports late replies as unsolicited', async() => {
+            mockHardware.faults.latency = 30
+            await device.connect()
+            const unsolicited = new Promise(res => device.once('unsolicited', res))
+            await assert.rejects(() => device.getNUC({ timeout: 10 }), /timeout/)
+            const frame = await unsolicited
+            assert.equal(frame.command, 7)
+            assert.equal(frame.subCommand, 6)
+            assert.deepEqual(frame.response, Buffer.from([1, 0]))
+        })
+    })
     describe('Error Handling', () => {
         it('throws if no response is received in time', async() => {
-            mockHardware.broken = true
+            mockHardware.faults.drop = 1
             device.responseTimeout = 10
             await device.connect()
             await assert.rejects(() => device.toggleFreezeFrame(), /timeout/)
         })
+        it('retries commands that time out', async() => {
+            let received = 0
+            mockHardware.on('command', () => received++)
+            mockHardware.dropNext(2)
+            await device.connect()
+            await device.toggleOSD(false, { timeout: 20, retries: 2 })
+            assert.equal(received, 3)
+            assert.equal(mockHardware.osd, false)
+        })
+        it('retries commands with a corrupt reply', async() => {
+            const errors = []
+            device.on('protocolError', error => errors.push(error))
+            mockHardware.corruptNext()
+            await device.connect()
+            const mode = await device.getLUT({ retries: 1 })
+            assert.equal(mode, 'black-and-white')
+            assert.equal(errors[0].reason, 'checksum')
+        })
+        it('throws once retries are exhausted', async() => {
+            mockHardware.faults.drop = 1
+            await device.connect()
+            await assert.rejects(() => device.toggleFreezeFrame({ timeout: 10, retries: 1 }), /timeout/)
+        })
+        it('cancels queued commands with an AbortSignal', async() => {
+            mockHardware.faults.drop = 1
+            await device.connect()
+            const sent = mock.method(device.controller, 'send')
+            const controller = new AbortController()
+            const first = device.toggleFreezeFrame({ timeout: 50 })
+            const second = device.toggleFreezeFrame({ signal: controller.signal })
+            controller.abort()
+            await assert.rejects(() => second, { name: 'AbortError' })
+            await assert.rejects(() => first, /timeout/)
+            assert.equal(sent.mock.callCount(), 1)
+        })
+        it('cancels in-flight commands with an AbortSignal', async() => {
+            mockHardware.faults.drop = 1
+            await device.connect()
+            await assert.rejects(() => device.toggleFreezeFrame({ signal: AbortSignal.abort() }), { name: 'AbortError' })
+            const controller = new AbortController()
+            const command = device.toggleFreezeFrame({ signal: controller.signal })
+            setTimeout(() => controller.abort(), 10)
+            await assert.rejects(() => command, { name: 'AbortError' })
+            assert.equal(device.pending.size, 0)
+        })
         it('validates AGC options', async() => {
             await assert.rejects(() => device.setAGC('fake'), /Option "fake" is invalid. Available options are \["off", "full", "midsize", "center", "horizon"\]/i)
         })
@@ -153,13 +400,58 @@ describe('Amber Radiance 1 (TCP Transport)', () => {
         it('validates LUT modes', () => {
             assert.throws(() => device.setLUT('fake'), /Option "fake" is invalid. Available options are \["black-and-white", "color", "sepia"\]/i)
         })
+        it('throws typed errors for invalid input', () => {
+            assert.throws(() => device.setNUC('fake'), error => {
+                assert.ok(error instanceof ValidationError)
+                assert.equal(error.code, 'INVALID_ARGUMENT')
+                assert.equal(error.value, 'fake')
+                assert.deepEqual(error.allowed, ['cold', 'mid', 'warm', 'hot'])
+                return true
+            })
+            assert.throws(() => device.setLevelReference({ brightness: -1 }), ValidationError)
+        })
+        it('throws typed errors for timeouts', async() => {
+            mockHardware.faults.drop = 1
+            await device.connect()
+            await assert.rejects(() => device.getNUC({ timeout: 10 }), error => {
+                assert.ok(error instanceof ResponseTimeoutError)
+                assert.equal(error.code, 'RESPONSE_TIMEOUT')
+                assert.equal(error.functionName, 'NUC_GET')
+                assert.equal(error.messageID, 1)
+                assert.equal(error.timeout, 10)
+                return true
+            })
+        })
+        it('throws typed errors for corrupt replies', async() => {
+            mockHardware.corruptNext()
+            await device.connect()
+            await assert.rejects(() => device.getLUT(), error => {
+                assert.ok(error instanceof ChecksumError)
+                assert.equal(error.code, 'CHECKSUM_MISMATCH')
+                assert.equal(error.frame.length, 16)
+                assert.equal(error.actual, (error.expected + 1) % 256)
+                return true
+            })
+        })
+        it('throws typed errors when not connected', async() => {
+            await assert.rejects(() => device.getNUC(), { name: 'NotConnectedError', code: 'NOT_CONNECTED' })
+            await device.connect()
+            const pending = device.getNUC()
+            await device.close()
+            await assert.rejects(() => pending, NotConnectedError)
+        })
+        it('throws typed errors for replies it does not understand', async() => {
+            mockHardware.nuc = 9
+            await device.connect()
+            await assert.rejects(() => device.getNUC(), { name: 'UnsupportedResponseError', code: 'UNSUPPORTED_RESPONSE', functionName: 'NUC_GET' })
+        })
     })
 })
 
 describe('Amber Radiance 1 (Serial Transport)', () => {
     beforeEach(async() => {
         // Start fake server
-        mockHardware = new MockCamera()
+        mockHardware = new Simulator()
         await mockHardware.listen(mockPort)
         // Start our client
         device = new Camera({ port: '/dev/ttyS0fake', transport: 'serial' })
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict'
+import diagnosticsChannel from 'node:diagnostics_channel'
+import { once } from 'node:events'
+import { after, before, describe, it, mock } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { COMMAND_END_CHANNEL, COMMAND_START_CHANNEL, createConsoleLogger } from '../lib/diagnostics.js'
+import { describeFrame, encode } from '../lib/protocol.js'
+import { Camera, ValidationError } from '../index.js'
+
+let simulator, camera
+const logs = []
+const logger = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [level, (fields, message) => logs.push({ level, fields, message })]))
+
+describe('Diagnostics', () => {
+    before(async() => {
+        simulator = new Simulator()
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port, logger, responseTimeout: 100 })
+        await camera.connect()
+    })
+
+    after(async() => {
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('filters console logs by level', () => {
+        const lines = []
+        const output = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [level, (...args) => lines.push([level, ...args])]))
+        const console = createConsoleLogger({ level: 'warn', console: output })
+        console.debug({ a: 1 }, 'dropped')
+        console.info('dropped')
+        console.warn({ a: 1 }, 'kept')
+        console.error('kept too')
+        assert.deepEqual(lines, [['warn', 'kept', { a: 1 }], ['error', 'kept too']])
+        createConsoleLogger({ level: 'silent', console: output }).error('dropped')
+        assert.equal(lines.length, 2)
+        assert.throws(() => createConsoleLogger({ level: 'loud' }), ValidationError)
+    })
+    it('describes frame headers', () => {
+        assert.deepEqual(describeFrame(encode(4, 7, 5, [3])), {
+            function: 'NUC_SET',
+            command: 7,
+            subCommand: 5,
+            messageID: 4,
+            iStatus: 0xff,
+            cStatus: 0xff,
+            dataSize: 2,
+            data: '0300',
+            checksum: 23
+        })
+    })
+    it('logs decoded frames to an injected logger', async() => {
+        logs.length = 0
+        await camera.getNUC()
+        const sent = logs.find(entry => entry.fields.direction === 'out')
+        const received = logs.find(entry => entry.fields.direction === 'in')
+        assert.equal(sent.level, 'debug')
+        assert.equal(sent.fields.function, 'NUC_GET')
+        assert.equal(received.fields.function, 'NUC_GET')
+        assert.equal(received.fields.messageID, sent.fields.messageID)
+        assert.equal(received.fields.dataSize, 2)
+    })
+    it('publishes command start and end', async() => {
+        const messages = []
+        const onStart = message => messages.push(['start', message])
+        const onEnd = message => messages.push(['end', message])
+        diagnosticsChannel.subscribe(COMMAND_START_CHANNEL, onStart)
+        diagnosticsChannel.subscribe(COMMAND_END_CHANNEL, onEnd)
+        try {
+            await camera.setLUT('sepia')
+        } finally {
+            diagnosticsChannel.unsubscribe(COMMAND_START_CHANNEL, onStart)
+            diagnosticsChannel.unsubscribe(COMMAND_END_CHANNEL, onEnd)
+        }
+        assert.deepEqual(messages.map(([event]) => event), ['start', 'end'])
+        const [[, start], [, end]] = messages
+        assert.equal(start.camera, camera)
+        assert.equal(start.function, 'LUT_SET')
+        assert.deepEqual(start.data, [3])
+        assert.equal(end.messageID, start.messageID)
+        assert.equal(typeof end.latency, 'number')
+        assert.ok(end.latency >= 0)
+        assert.equal(end.error, undefined)
+    })
+    it('measures latency up to the reply', async() => {
+        const ended = []
+        const onEnd = message => ended.push(message)
+        let clock = 0
+        const now = mock.method(performance, 'now', () => clock)
+        mock.timers.enable({ apis: ['setTimeout'] })
+        diagnosticsChannel.subscribe(COMMAND_END_CHANNEL, onEnd)
+        simulator.faults.latency = 40
+        try {
+            const received = once(simulator, 'command')
+            const reply = camera.getNUC({ timeout: 5000 })
+            await received
+            // The simulator replies once its delay has passed on the test's clock
+            clock += 40
+            mock.timers.tick(40)
+            await reply
+        } finally {
+            simulator.faults.latency = 0
+            mock.timers.reset()
+            now.mock.restore()
+            diagnosticsChannel.unsubscribe(COMMAND_END_CHANNEL, onEnd)
+        }
+        assert.equal(ended.length, 1)
+        assert.equal(ended[0].latency, 40)
+    })
+    it('publishes failed attempts with their error', async() => {
+        const ended = []
+        const onEnd = message => ended.push(message)
+        diagnosticsChannel.subscribe(COMMAND_END_CHANNEL, onEnd)
+        // Each attempt runs into its 100ms timeout on the test's clock
+        let clock = 0
+        const now = mock.method(performance, 'now', () => clock)
+        mock.timers.enable({ apis: ['setTimeout'] })
+        simulator.faults.drop = 1
+        logs.length = 0
+        try {
+            const failed = assert.rejects(camera.getLUT({ timeout: 100, retries: 1 }), { code: 'RESPONSE_TIMEOUT' })
+            for (let attempt = 0; attempt < 2; attempt++) {
+                await once(simulator, 'command')
+                clock += 99
+                mock.timers.tick(99)
+                assert.equal(ended.length, attempt)
+                clock += 1
+                mock.timers.tick(1)
+            }
+            await failed
+        } finally {
+            simulator.faults.drop = 0
+            mock.timers.reset()
+            now.mock.restore()
+            diagnosticsChannel.unsubscribe(COMMAND_END_CHANNEL, onEnd)
+        }
+        assert.equal(ended.length, 2)
+        assert.notEqual(ended[0].messageID, ended[1].messageID)
+        assert.ok(ended.every(message => message.error.code === 'RESPONSE_TIMEOUT'))
+        assert.deepEqual(ended.map(message => message.latency), [100, 100])
+        assert.ok(logs.some(entry => entry.level === 'warn' && entry.message === 'Retrying command' && entry.fields.function === 'LUT_GET'))
+    })
+})
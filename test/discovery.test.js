@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, afterEach, before, describe, it, mock } from 'node:test'
+import * as discovery from '../lib/discovery.js'
+
+const directory = await mkdtemp(join(tmpdir(), 'amber-dev-'))
+// Cameras by serial device path, with the baud rate each one is set to
+const cameras = new Map()
+const open = new Set()
+
+// Serial device wired to an in-process simulator. Bytes sent at the wrong baud rate arrive as noise.
+class MockSerialDevice extends EventEmitter {
+    constructor({ port, baudRate }) {
+        super()
+        this.port = port
+        this.baudRate = baudRate
+    }
+    connect() {
+        const camera = cameras.get(this.port)
+        if (!camera) return Promise.reject(Object.assign(new Error(`Error: No such file or directory, cannot open ${this.port}`), { code: 'ENOENT' }))
+        this.garble = data => this.baudRate === camera.baudRate ? data : Buffer.alloc(data.length, 0xff)
+        this.line = new EventEmitter()
+        this.line.setNoDelay = () => this.line
+        this.line.write = data => this.emit('data', this.garble(data))
+        camera.simulator.attachClient(this.line)
+        // Keeps the process alive like an open port would
+        this.handle = setInterval(() => { /* Idle */ }, 1000)
+        open.add(this)
+        return Promise.resolve()
+    }
+    close() {
+        this.line?.emit('close')
+        clearInterval(this.handle)
+        open.delete(this)
+        return Promise.resolve()
+    }
+    send(data) {
+        this.line.emit('data', this.garble(data))
+    }
+}
+
+mock.module('@appliedminds/serial', {
+    namedExports: { Device: MockSerialDevice }
+})
+// List the temporary directory instead of /dev
+mock.module('../lib/discovery.js', {
+    namedExports: { ...discovery, listSerialPorts: options => discovery.listSerialPorts({ directory, ...options }) }
+})
+
+const { Simulator } = await import('../lib/simulator.js')
+const { Camera, CameraNotFoundError, LUT_MODES, ValidationError } = await import('../index.js')
+
+describe('Serial Discovery', () => {
+    before(async() => {
+        for (const name of ['ttyUSB0', 'ttyUSB1', 'ttyUSB10', 'ttyS0', 'null', 'cu.usbserial-1410']) {
+            await writeFile(join(directory, name), '')
+        }
+        // ttyUSB0 has nothing behind it, the others are cameras at different baud rates
+        const slow = new Simulator({ status: { numPowerCycles: 7 } })
+        cameras.set(join(directory, 'ttyUSB1'), { simulator: slow, baudRate: 9600 })
+        cameras.set(join(directory, 'ttyUSB10'), { simulator: new Simulator(), baudRate: 38400 })
+    })
+
+    afterEach(() => {
+        assert.equal(open.size, 0)
+    })
+
+    after(async() => {
+        await rm(directory, { recursive: true })
+    })
+
+    it('lists USB-serial devices', async() => {
+        assert.deepEqual(await discovery.listSerialPorts({ directory }), ['cu.usbserial-1410', 'ttyUSB0', 'ttyUSB1', 'ttyUSB10'].map(name => join(directory, name)))
+        assert.deepEqual(await discovery.listSerialPorts({ directory: join(directory, 'missing') }), [])
+    })
+    it('finds cameras at any baud rate', async() => {
+        const found = await Camera.discover({ timeout: 50 })
+        assert.deepEqual(found.map(({ port, baudRate }) => [port, baudRate]), [
+            [join(directory, 'ttyUSB1'), 9600],
+            [join(directory, 'ttyUSB10'), 38400]
+        ])
+        assert.equal(found[0].status.numPowerCycles, 7)
+        assert.deepEqual(await Camera.discover({ ports: [join(directory, 'ttyUSB1')], baudRates: [38400], timeout: 50 }), [])
+    })
+    it('connects to the first camera found', async() => {
+        const camera = new Camera({ transport: 'serial', port: 'auto' })
+        try {
+            await camera.connect()
+            assert.equal(camera.port, join(directory, 'ttyUSB1'))
+            assert.equal(camera.baudRate, 9600)
+            assert.equal(camera.controller.baudRate, 9600)
+            await camera.setLUT('sepia')
+            assert.equal(cameras.get(camera.port).simulator.lut, LUT_MODES.sepia)
+        } finally {
+            await camera.close()
+        }
+    })
+    it('fails when no camera is found', async() => {
+        const camera = new Camera({ transport: 'serial', port: 'auto', baudRate: 115200 })
+        await assert.rejects(camera.connect(), error => {
+            assert.ok(error instanceof CameraNotFoundError)
+            assert.equal(error.code, 'CAMERA_NOT_FOUND')
+            assert.deepEqual(error.baudRates, [115200])
+            assert.equal(error.ports.length, 4)
+            return true
+        })
+        await camera.close()
+        assert.throws(() => new Camera({ port: 'auto' }), ValidationError)
+    })
+})
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { CameraGroup } from '../lib/group.js'
+import { Camera } from '../index.js'
+
+let simulators, group
+
+describe('Camera Group', () => {
+    beforeEach(async() => {
+        simulators = { left: new Simulator(), right: new Simulator(), dead: new Simulator({ faults: { drop: 1 } }) }
+        await simulators.left.listen(0)
+        await simulators.right.listen(0)
+        await simulators.dead.listen(0)
+        group = new CameraGroup({
+            left: { host: '127.0.0.1', port: simulators.left.address().port },
+            right: new Camera({ host: '127.0.0.1', port: simulators.right.address().port })
+        }, { timeout: 100 })
+        await group.connect()
+    })
+
+    afterEach(async() => {
+        await group.close()
+        for (const simulator of Object.values(simulators)) {
+            await simulator.close()
+        }
+    })
+
+    it('broadcasts settings to every camera', async() => {
+        const result = await group.setNUC('warm')
+        assert.equal(result.ok, true)
+        assert.deepEqual(result.succeeded, ['left', 'right'])
+        assert.equal(simulators.left.nuc, 3)
+        assert.equal(simulators.right.nuc, 3)
+        const { results } = await group.getLUT()
+        assert.equal(results.left.value, 'black-and-white')
+        assert.equal(results.right.value, 'black-and-white')
+    })
+    it('applies profiles', async() => {
+        const result = await group.applyProfile({ lut: 'sepia', itt: 'inverse' })
+        assert.deepEqual(result.results.left.value, ['itt', 'lut'])
+        assert.equal(simulators.right.lut, 3)
+    })
+    it('reports partial failures without stalling', async() => {
+        const dead = group.add('dead', { host: '127.0.0.1', port: simulators.dead.address().port })
+        await dead.connect()
+        const failures = []
+        group.on('partialFailure', failure => failures.push(failure))
+        const started = Date.now()
+        const result = await group.setLUT('color')
+        assert.ok(Date.now() - started < 200)
+        assert.equal(result.ok, false)
+        assert.deepEqual(result.failed, ['dead'])
+        assert.equal(result.results.dead.error.code, 'RESPONSE_TIMEOUT')
+        assert.equal(simulators.left.lut, 2)
+        assert.equal(failures.length, 1)
+    })
+    it('reports invalid arguments per camera', async() => {
+        const result = await group.setITT('sideways')
+        assert.deepEqual(result.failed, ['left', 'right'])
+        assert.match(result.results.left.error.message, /Option "sideways" is invalid/)
+    })
+    it('freezes all cameras at once', async() => {
+        const result = await group.toggleFreezeFrame()
+        assert.equal(result.ok, true)
+        assert.equal(simulators.left.frozen, true)
+        assert.equal(simulators.right.frozen, true)
+    })
+    it('sets toggles where their state is known', async() => {
+        for (const camera of group.cameras.values()) {
+            camera.setStateReference({ frozen: false, inverted: false })
+        }
+        assert.equal((await group.setFreezeFrame(true)).ok, true)
+        assert.equal((await group.setInverted(true)).ok, true)
+        assert.equal(simulators.left.frozen, true)
+        assert.equal(simulators.right.imageInverted, true)
+    })
+    it('gives up on cameras that do not connect in time', async() => {
+        const stuck = new CameraGroup({
+            live: { host: '127.0.0.1', port: simulators.left.address().port },
+            // A connection that never opens
+            stuck: { stream: () => new Promise(() => {}) }
+        }, { connectTimeout: 50 })
+        try {
+            const started = Date.now()
+            const result = await stuck.connect()
+            assert.ok(Date.now() - started < 1000)
+            assert.deepEqual(result.succeeded, ['live'])
+            assert.deepEqual(result.failed, ['stuck'])
+            assert.equal(result.results.stuck.error.code, 'RESPONSE_TIMEOUT')
+            const controller = new AbortController()
+            controller.abort()
+            const aborted = await stuck.connect({ signal: controller.signal })
+            assert.equal(aborted.results.stuck.error.name, 'AbortError')
+        } finally {
+            await stuck.close()
+        }
+    })
+    it('aggregates health', async() => {
+        group.add('dead', { host: '127.0.0.1', port: simulators.dead.address().port })
+        await group.get('dead').connect()
+        const unresponsive = []
+        group.on('unresponsive', ({ camera }) => unresponsive.push(camera))
+        group.startMonitoring({ interval: 10, timeout: 30, modes: false, unresponsiveAfter: 1 })
+        await new Promise(res => setTimeout(res, 100))
+        const health = group.health
+        assert.equal(health.total, 3)
+        assert.equal(health.responsive, 2)
+        assert.equal(health.unresponsive, 1)
+        assert.equal(health.cameras.left.status.numPowerCycles, 22371)
+        assert.deepEqual(unresponsive, ['dead'])
+    })
+    it('adds and removes cameras', () => {
+        assert.deepEqual(group.names, ['left', 'right'])
+        assert.throws(() => group.add('left', { host: '127.0.0.1', port: simulators.left.address().port }), { code: 'INVALID_ARGUMENT', message: /already in the group/ })
+        const camera = group.remove('right')
+        assert.ok(camera instanceof Camera)
+        assert.deepEqual(group.names, ['left'])
+        return camera.close()
+    })
+})
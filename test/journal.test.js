@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { Camera, ITT_MODES, LUT_MODES, NotUndoableError, NUC_MODES, ValidationError } from '../index.js'
+
+let simulator, camera
+
+describe('Command Journal', () => {
+    beforeEach(async() => {
+        simulator = new Simulator()
+        camera = new Camera({ transport: 'loopback', peer: simulator, journalSize: 20, user: 'bench' })
+        await camera.connect()
+    })
+
+    afterEach(async() => {
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('records who changed what and the value it replaced', async() => {
+        // Changed behind this instance's back, E.G. by another operator
+        simulator.nuc = NUC_MODES.warm
+        const entries = []
+        camera.on('journal', entry => entries.push(entry))
+        await camera.setNUC('hot', { user: 'alice' })
+        await camera.adjustBrightness(-2)
+        await camera.toggleOSD(false)
+        assert.deepEqual(camera.journal.map(({ user, action, value, previous, undoable }) => ({ user, action, value, previous, undoable })), [
+            { user: 'alice', action: 'setNUC', value: 'hot', previous: 'warm', undoable: true },
+            { user: 'bench', action: 'adjustBrightness', value: -2, previous: undefined, undoable: true },
+            { user: 'bench', action: 'toggleOSD', value: false, previous: undefined, undoable: false }
+        ])
+        assert.ok(camera.journal[0].time instanceof Date)
+        assert.deepEqual(entries.map(entry => entry.id), [1, 2, 3])
+    })
+    it('undoes commands newest first', async() => {
+        await camera.setLUT('sepia')
+        await camera.setITT('inverse')
+        await camera.adjustContrast(3)
+        await camera.invertImage()
+        await camera.toggleFreezeFrame()
+        const undone = await camera.undo(3, { user: 'carol' })
+        assert.deepEqual(undone.map(entry => entry.action), ['toggleFreezeFrame', 'invertImage', 'adjustContrast'])
+        assert.equal(simulator.frozen, false)
+        assert.equal(simulator.imageInverted, false)
+        assert.equal(simulator.contrast, 100)
+        // The reversing commands are journaled too, but aren't undone themselves
+        const reversals = camera.journal.filter(entry => entry.undoes)
+        assert.deepEqual(reversals.map(({ action, user, undoes }) => [action, user, undoes]), [['toggleFreezeFrame', 'carol', 5], ['invertImage', 'carol', 4], ['adjustContrast', 'carol', 3]])
+        await camera.undo(2)
+        assert.equal(simulator.itt, ITT_MODES.linear)
+        assert.equal(simulator.lut, LUT_MODES['black-and-white'])
+        assert.ok(camera.journal.filter(entry => !entry.undoes).every(entry => entry.undone))
+        await assert.rejects(camera.undo(), NotUndoableError)
+    })
+    it('refuses to undo irreversible commands', async() => {
+        await camera.setNUC('mid')
+        await camera.run1PointCalibration()
+        await assert.rejects(camera.undo(2), error => {
+            assert.ok(error instanceof NotUndoableError)
+            assert.equal(error.code, 'NOT_UNDOABLE')
+            assert.equal(error.entry.action, 'run1PointCalibration')
+            return true
+        })
+        // Nothing was reversed
+        assert.equal(simulator.nuc, NUC_MODES.mid)
+        assert.equal(camera.journal.length, 2)
+        await assert.rejects(camera.undo(0), ValidationError)
+    })
+    it('restores known levels and toggle states', async() => {
+        camera.setLevelReference({ brightness: 100 })
+        camera.setStateReference({ frozen: false })
+        await camera.setBrightnessLevel(110)
+        await camera.setFreezeFrame(true)
+        await camera.undo(2)
+        assert.equal(simulator.brightness, 100)
+        assert.equal(camera.levels.brightness, 100)
+        assert.equal(simulator.frozen, false)
+    })
+    it('undoes the steps applied at the end of the level range', async() => {
+        simulator.brightness = 250
+        camera.setLevelReference({ brightness: 250 })
+        await camera.adjustBrightness(10)
+        assert.equal(camera.levels.brightness, 255)
+        await camera.undo(1)
+        assert.equal(simulator.brightness, 250)
+        assert.equal(camera.levels.brightness, 250)
+    })
+    it('keeps the most recent entries', async() => {
+        camera.journalSize = 3
+        for (const mode of ['mid', 'warm', 'hot', 'cold']) {
+            await camera.setNUC(mode)
+        }
+        assert.deepEqual(camera.journal.map(entry => entry.value), ['warm', 'hot', 'cold'])
+        assert.equal(camera.reversals.size, 3)
+    })
+    it('is off by default', async() => {
+        const plain = new Camera({ transport: 'loopback', peer: simulator })
+        try {
+            await plain.connect()
+            const sent = []
+            plain.on('traffic', ({ direction }) => direction === 'out' && sent.push(direction))
+            await plain.setNUC('hot')
+            assert.equal(sent.length, 1)
+            assert.deepEqual(plain.journal, [])
+        } finally {
+            await plain.close()
+        }
+        assert.throws(() => new Camera({ transport: 'loopback', peer: simulator, journalSize: -1 }), ValidationError)
+    })
+})
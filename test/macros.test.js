@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict'
+import { EventEmitter, once } from 'node:events'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { CronSchedule, loadMacros, MacroRunner, parseDuration, validateMacros } from '../lib/macros.js'
+import { Camera, LUT_MODES, NUC_MODES, ValidationError } from '../index.js'
+
+describe('Macros', () => {
+    describe('Schedules', () => {
+        it('finds the next matching minute', () => {
+            const from = new Date(2026, 0, 1, 10, 7, 30) // A Thursday
+            assert.deepEqual(new CronSchedule('30 22 * * *').next(from), new Date(2026, 0, 1, 22, 30))
+            assert.deepEqual(new CronSchedule('*/15 * * * *').next(from), new Date(2026, 0, 1, 10, 15))
+            assert.deepEqual(new CronSchedule('0 9 * * 1-5').next(new Date(2026, 0, 3, 12)), new Date(2026, 0, 5, 9))
+            assert.deepEqual(new CronSchedule('@monthly').next(from), new Date(2026, 1, 1))
+            // Either day field can match when both are restricted
+            assert.deepEqual(new CronSchedule('0 0 13 * 5').next(from), new Date(2026, 0, 2))
+            assert.equal(new CronSchedule('0 0 30 2 *').next(from), null)
+        })
+        it('rejects invalid schedules', () => {
+            assert.throws(() => new CronSchedule('0 25 * * *'), /Invalid hour "25"/)
+            assert.throws(() => new CronSchedule('every night'), ValidationError)
+        })
+        it('parses durations', () => {
+            assert.equal(parseDuration('30s'), 30000)
+            assert.equal(parseDuration('1.5h'), 5400000)
+            assert.equal(parseDuration(250), 250)
+            assert.throws(() => parseDuration('soon'), ValidationError)
+        })
+    })
+
+    describe('Validation', () => {
+        it('validates steps against the mode tables', () => {
+            assert.throws(() => validateMacros({ night: { steps: [{ nuc: 'cold' }, { lut: 'rainbow' }] } }), error => error instanceof ValidationError &&
+                error.message.startsWith('Macro "night" step 2: Invalid lut mode "rainbow"') && error.allowed.includes('sepia'))
+            assert.throws(() => validateMacros({ night: { steps: [{ nuc: 'cold', lut: 'color' }] } }), /exactly one action/)
+            assert.throws(() => validateMacros({ night: { steps: [{ lut: 'color', if: { zoom: 2 } }] } }), /Unknown condition "zoom"/)
+            assert.throws(() => validateMacros({ night: { steps: [], on: 'sunset' } }), /Unknown trigger "sunset"/)
+            assert.throws(() => validateMacros({ night: { steps: [], schedule: '0 0 31 2 *' } }), /never runs/)
+        })
+        it('rejects macros that run themselves', () => {
+            assert.throws(() => validateMacros({ a: { steps: [{ macro: 'b' }] }, b: { steps: [{ macro: 'a' }] } }), /runs itself/)
+            assert.throws(() => validateMacros({ a: { steps: [{ macro: 'c' }] } }), /unknown macro "c"/)
+        })
+        it('loads JSON and YAML files', async() => {
+            const directory = await mkdtemp(join(tmpdir(), 'amber-macros-'))
+            try {
+                await writeFile(join(directory, 'macros.yaml'), 'night:\n  schedule: "0 22 * * *"\n  steps:\n    - nuc: cold\n    - wait: 30s\n    - calibrate: 2-point\n    - lut: color\n')
+                await writeFile(join(directory, 'macros.json'), JSON.stringify({ day: { steps: [{ lut: 'black-and-white' }] } }))
+                const yaml = await loadMacros(join(directory, 'macros.yaml'))
+                assert.deepEqual(yaml.night.steps, [{ nuc: 'cold' }, { wait: '30s' }, { calibrate: '2-point' }, { lut: 'color' }])
+                assert.deepEqual(Object.keys(await loadMacros(join(directory, 'macros.json'))), ['day'])
+                await writeFile(join(directory, 'bad.yaml'), 'night:\n  steps:\n    - itt: wavy\n')
+                await assert.rejects(loadMacros(join(directory, 'bad.yaml')), ValidationError)
+            } finally {
+                await rm(directory, { recursive: true })
+            }
+        })
+    })
+
+    describe('Running', () => {
+        let simulator, camera, runner
+        const MACROS = {
+            night: {
+                steps: [
+                    { nuc: 'cold' },
+                    { wait: 10 },
+                    { calibrate: '2-point' },
+                    { lut: 'color' },
+                    { inverted: true, if: { lut: 'sepia' } }
+                ]
+            },
+            frozen: { steps: [{ freezeFrame: true }, { lut: 'sepia' }] },
+            tolerant: { steps: [{ freezeFrame: true, continueOnError: true }, { lut: 'sepia' }] },
+            nested: { steps: [{ macro: 'tolerant' }, { itt: 'inverse' }] },
+            slow: { steps: [{ wait: '1h' }, { lut: 'sepia' }] },
+            restore: { on: 'powerCycled', steps: [{ lut: 'color' }] }
+        }
+
+        beforeEach(async() => {
+            simulator = new Simulator({ calibrationTime: 20, busyWhileCalibrating: true })
+            await simulator.listen(0)
+            camera = new Camera({ host: '127.0.0.1', port: simulator.address().port })
+            await camera.connect()
+            runner = new MacroRunner(camera, MACROS, { calibration: { duration: 5, pollInterval: 5, pollTimeout: 20, timeout: 1000 } })
+        })
+
+        afterEach(async() => {
+            runner.stop()
+            runner.abort()
+            await camera.close()
+            await simulator.close()
+        })
+
+        it('runs steps in order with per-step results', async() => {
+            const steps = []
+            runner.on('step', step => steps.push(step.action))
+            const result = await runner.run('night')
+            assert.equal(result.ok, true)
+            assert.equal(result.trigger, 'manual')
+            assert.deepEqual(steps, ['nuc', 'wait', 'calibrate', 'lut', 'inverted'])
+            assert.deepEqual(result.steps.map(({ action, ok, skipped }) => [action, ok, skipped]), [
+                ['nuc', true, undefined],
+                ['wait', true, undefined],
+                ['calibrate', true, undefined],
+                ['lut', true, undefined],
+                ['inverted', true, true]
+            ])
+            assert.ok(result.steps[2].duration >= 20)
+            assert.equal(simulator.nuc, NUC_MODES.cold)
+            assert.equal(simulator.lut, LUT_MODES.color)
+            assert.equal(simulator.imageInverted, false)
+        })
+        it('stops at a failed step unless told to continue', async() => {
+            const failed = await runner.run('frozen')
+            assert.equal(failed.ok, false)
+            assert.equal(failed.error.code, 'UNKNOWN_STATE')
+            assert.equal(failed.steps.length, 1)
+            assert.equal(simulator.lut, LUT_MODES['black-and-white'])
+            const nested = await runner.run('nested')
+            assert.equal(nested.ok, true)
+            assert.deepEqual(nested.steps.map(({ macro, action, ok }) => [macro, action, ok]), [
+                ['tolerant', 'freezeFrame', false],
+                ['tolerant', 'lut', true],
+                ['nested', 'macro', true],
+                ['nested', 'itt', true]
+            ])
+        })
+        it('aborts running and queued macros', async() => {
+            const slow = runner.run('slow')
+            const queued = runner.run('night')
+            await once(runner, 'macroStart')
+            runner.abort()
+            const [first, second] = await Promise.all([slow, queued])
+            assert.equal(first.aborted, true)
+            assert.equal(first.error.name, 'AbortError')
+            assert.equal(second.aborted, true)
+            assert.deepEqual(second.steps, [])
+            assert.equal(simulator.lut, LUT_MODES['black-and-white'])
+        })
+        it('runs macros on camera events', async() => {
+            runner.start()
+            await camera.getStatus()
+            simulator.powerCycle()
+            const ended = once(runner, 'macroEnd')
+            await camera.getStatus()
+            const [result] = await ended
+            assert.equal(result.macro, 'restore')
+            assert.equal(result.trigger, 'powerCycled')
+            assert.equal(simulator.lut, LUT_MODES.color)
+        })
+        it('rejects unknown macros', async() => {
+            await assert.rejects(runner.run('morning'), ValidationError)
+        })
+    })
+
+    describe('Scheduling', () => {
+        const camera = new EventEmitter()
+        camera.setLUT = () => Promise.resolve()
+
+        before(() => {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2026, 0, 1, 21, 59, 30) })
+        })
+
+        after(() => {
+            mock.timers.reset()
+        })
+
+        it('runs macros on their schedule', async() => {
+            const runner = new MacroRunner(camera, { night: { schedule: '0 22 * * *', steps: [{ lut: 'color' }] } })
+            runner.start()
+            assert.equal(runner.timers.size, 1)
+            const ended = once(runner, 'macroEnd')
+            mock.timers.tick(30000)
+            const [result] = await ended
+            assert.equal(result.trigger, 'schedule')
+            assert.equal(result.ok, true)
+            // Scheduled again for the next day
+            assert.equal(runner.timers.size, 1)
+            runner.stop()
+            assert.equal(runner.timers.size, 0)
+        })
+    })
+})
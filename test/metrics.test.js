@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { formatMetrics, MetricsExporter } from '../lib/metrics.js'
+import { Camera, ValidationError } from '../index.js'
+
+let simulator, camera, exporter
+
+// Value of a sample in the exposition text, E.G. sample(text, 'amber_up{camera="bench"}')
+function sample(text, series) {
+    const line = text.split('\n').find(line => line.startsWith(`${series} `))
+    return line && Number(line.slice(series.length + 1))
+}
+
+// Start collecting and wait for the first status poll, so it doesn't get in the way of the commands under test
+async function start() {
+    exporter.start()
+    while (!exporter.monitors.get('bench').latest) await sleep(5)
+}
+
+describe('Metrics Exporter', () => {
+    beforeEach(async() => {
+        simulator = new Simulator({ status: { numPowerCycles: 12, numCoolerCycles: 34, coolerTime: 5600 } })
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port, responseTimeout: 30 })
+        await camera.connect()
+        exporter = new MetricsExporter({ bench: camera }, { interval: 60000 })
+    })
+
+    afterEach(async() => {
+        await exporter.close()
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('serves metrics on /metrics', async() => {
+        await exporter.listen(0, '127.0.0.1')
+        const baseURL = `http://127.0.0.1:${exporter.address().port}`
+        await camera.setNUC('hot')
+        const response = await fetch(`${baseURL}/metrics`)
+        assert.equal(response.status, 200)
+        assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/)
+        const text = await response.text()
+        assert.match(text, /^# HELP amber_up /m)
+        assert.match(text, /^# TYPE amber_command_duration_seconds histogram$/m)
+        assert.equal(sample(text, 'amber_commands_total{camera="bench",function="NUC_SET",outcome="ok"}'), 1)
+        assert.equal((await fetch(`${baseURL}/other`)).status, 404)
+        assert.equal((await fetch(`${baseURL}/metrics`, { method: 'POST' })).status, 405)
+    })
+    it('records command latency per function', async() => {
+        await start()
+        simulator.faults.latency = 15
+        await camera.setLUT('color')
+        const text = exporter.metrics()
+        const series = 'amber_command_duration_seconds'
+        assert.equal(sample(text, `${series}_count{camera="bench",function="LUT_SET"}`), 1)
+        assert.equal(sample(text, `${series}_bucket{camera="bench",function="LUT_SET",le="0.005"}`), 0)
+        assert.equal(sample(text, `${series}_bucket{camera="bench",function="LUT_SET",le="0.025"}`), 1)
+        assert.equal(sample(text, `${series}_bucket{camera="bench",function="LUT_SET",le="+Inf"}`), 1)
+        assert.ok(sample(text, `${series}_sum{camera="bench",function="LUT_SET"}`) >= 0.015)
+        assert.ok(sample(text, 'amber_bytes_total{camera="bench",direction="out"}') > 0)
+        assert.ok(sample(text, 'amber_bytes_total{camera="bench",direction="in"}') > 0)
+    })
+    it('counts timeouts, checksum failures and reconnects', async() => {
+        await start()
+        simulator.dropNext()
+        await assert.rejects(camera.getITT(), { code: 'RESPONSE_TIMEOUT' })
+        simulator.corruptNext()
+        await assert.rejects(camera.getITT())
+        camera.controller.emit('connect')
+        const text = exporter.metrics()
+        assert.equal(sample(text, 'amber_commands_total{camera="bench",function="ITT_GET",outcome="timeout"}'), 1)
+        assert.equal(sample(text, 'amber_commands_total{camera="bench",function="ITT_GET",outcome="error"}'), 1)
+        assert.equal(sample(text, 'amber_protocol_errors_total{camera="bench",reason="checksum"}'), 1)
+        assert.equal(sample(text, 'amber_reconnects_total{camera="bench"}'), 1)
+    })
+    it('exports status counters and modes as gauges', async() => {
+        assert.equal(sample(exporter.metrics(), 'amber_power_cycles{camera="bench"}'), undefined)
+        await camera.setITT('s-curve')
+        await start()
+        let text = exporter.metrics()
+        assert.equal(sample(text, 'amber_up{camera="bench"}'), 1)
+        assert.equal(sample(text, 'amber_connected{camera="bench"}'), 1)
+        assert.equal(sample(text, 'amber_power_cycles{camera="bench"}'), 12)
+        assert.equal(sample(text, 'amber_cooler_cycles{camera="bench"}'), 34)
+        assert.equal(sample(text, 'amber_cooler_time{camera="bench"}'), 5600)
+        assert.equal(sample(text, 'amber_mode{camera="bench",setting="itt",mode="s-curve"}'), 1)
+        assert.equal(sample(text, 'amber_mode{camera="bench",setting="itt",mode="linear"}'), 0)
+        assert.equal(sample(text, 'amber_mode{camera="bench",setting="agc",mode="off"}'), 1)
+        // Counters are kept from the last answered poll
+        await simulator.close()
+        await exporter.monitors.get('bench').poll()
+        text = exporter.metrics()
+        assert.equal(sample(text, 'amber_up{camera="bench"}'), 0)
+        assert.equal(sample(text, 'amber_power_cycles{camera="bench"}'), 12)
+    })
+    it('rejects when the port is taken', async() => {
+        await exporter.listen(0, '127.0.0.1')
+        const other = new MetricsExporter({ bench: camera }, { interval: 60000 })
+        await assert.rejects(other.listen(exporter.address().port, '127.0.0.1'), { code: 'EADDRINUSE' })
+        assert.equal(other.running, false)
+    })
+    it('stops counting once stopped', async() => {
+        exporter.start()
+        exporter.stop()
+        await camera.getNUC()
+        assert.doesNotMatch(exporter.metrics(), /NUC_GET/)
+    })
+    it('formats the exposition text', () => {
+        assert.equal(formatMetrics([
+            { name: 'test_total', help: 'Line\nbreak', type: 'counter', samples: [{ labels: { id: 'a"b\\c' }, value: 2 }, { labels: {}, value: 0 }] }
+        ]), '# HELP test_total Line\\nbreak\n# TYPE test_total counter\ntest_total{id="a\\"b\\\\c"} 2\ntest_total 0\n')
+        assert.throws(() => new MetricsExporter(camera, { prefix: 'amber-radiance' }), ValidationError)
+        assert.throws(() => new MetricsExporter(camera, { buckets: [1, 0.5] }), ValidationError)
+        assert.ok(new MetricsExporter(camera).cameras.has('default'))
+    })
+})
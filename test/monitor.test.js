@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+import { once } from 'node:events'
+import { Simulator } from '../lib/simulator.js'
+import { CameraMonitor } from '../lib/monitor.js'
+import { Camera } from '../index.js'
+
+let simulator, camera, monitor
+
+describe('Camera Monitor', () => {
+    beforeEach(async() => {
+        simulator = new Simulator()
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port })
+        await camera.connect()
+        monitor = new CameraMonitor(camera, { interval: 10, timeout: 20 })
+    })
+
+    afterEach(async() => {
+        monitor.stop()
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('polls status and modes', async() => {
+        const snapshot = await monitor.poll()
+        assert.equal(snapshot.responsive, true)
+        assert.equal(snapshot.status.numPowerCycles, 22371)
+        assert.deepEqual(snapshot.modes, { nuc: 'cold', lut: 'black-and-white', itt: 'linear', agc: false })
+    })
+    it('reports power and cooler cycles', async() => {
+        await monitor.poll()
+        // The cooler restarts along with the camera
+        simulator.powerCycle()
+        const powerCycled = once(monitor, 'powerCycled')
+        const coolerCycled = once(monitor, 'coolerCycled')
+        const statusChange = once(monitor, 'statusChange')
+        await monitor.poll()
+        assert.deepEqual((await powerCycled)[0], { numPowerCycles: 22372, previous: 22371 })
+        assert.deepEqual((await coolerCycled)[0], { numCoolerCycles: 22247, previous: 22246 })
+        assert.equal((await statusChange)[0].numPowerCycles, 22372)
+    })
+    it('reports mode changes', async() => {
+        await monitor.poll()
+        simulator.lut = 2
+        const modeChange = once(monitor, 'modeChange')
+        await monitor.poll()
+        assert.deepEqual((await modeChange)[0], { mode: 'lut', value: 'color', previous: 'black-and-white' })
+    })
+    it('reports an unresponsive camera and its recovery', async() => {
+        await monitor.poll()
+        simulator.faults.drop = 1
+        const unresponsive = once(monitor, 'unresponsive')
+        await monitor.poll()
+        assert.equal(monitor.latest.responsive, true)
+        await monitor.poll()
+        assert.equal(monitor.latest.responsive, false)
+        assert.equal((await unresponsive)[0].failures, 2)
+        simulator.faults.drop = 0
+        const recovered = once(monitor, 'recovered')
+        await monitor.poll()
+        assert.ok((await recovered)[0].downtime >= 0)
+    })
+    it('keeps a single polling loop when restarted during a poll', async() => {
+        mock.timers.enable({ apis: ['setTimeout'] })
+        try {
+            const answers = []
+            let polls = 0
+            monitor.poll = () => {
+                polls++
+                return new Promise(res => answers.push(res))
+            }
+            monitor.start()
+            monitor.stop()
+            monitor.start()
+            assert.equal(polls, 2)
+            for (const answer of answers.splice(0)) answer()
+            await new Promise(res => setImmediate(res))
+            mock.timers.tick(10)
+            assert.equal(polls, 3)
+        } finally {
+            monitor.stop()
+            mock.timers.reset()
+        }
+    })
+    it('iterates over snapshots while running', async() => {
+        const snapshots = []
+        monitor.start()
+        for await (const snapshot of monitor) {
+            snapshots.push(snapshot)
+            if (snapshots.length === 3) monitor.stop()
+        }
+        assert.equal(snapshots.length, 3)
+        assert.ok(snapshots.every(snapshot => snapshot.responsive))
+    })
+})
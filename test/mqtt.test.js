@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import { createServer } from 'node:net'
+import { after, before, describe, it } from 'node:test'
+import { Aedes } from 'aedes'
+import mqtt from 'mqtt'
+import { Simulator } from '../lib/simulator.js'
+import { MqttBridge } from '../lib/mqtt.js'
+import { Camera, ValidationError } from '../index.js'
+
+let URL, broker, server, simulator, camera, bridge, subscriber
+// Latest payload received on each topic
+const messages = new Map()
+
+// Resolve once `topic` has a payload that passes `predicate`
+function waitFor(topic, predicate = () => true) {
+    return new Promise(resolve => {
+        const check = () => {
+            if (!messages.has(topic) || !predicate(messages.get(topic))) return
+            subscriber.off('message', check)
+            resolve(messages.get(topic))
+        }
+        subscriber.on('message', check)
+        check()
+    })
+}
+
+describe('MQTT Bridge', () => {
+    before(async() => {
+        broker = await Aedes.createBroker()
+        server = createServer(broker.handle)
+        await new Promise(res => server.listen(0, '127.0.0.1', res))
+        URL = `mqtt://127.0.0.1:${server.address().port}`
+        simulator = new Simulator()
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port })
+        await camera.connect()
+        subscriber = await mqtt.connectAsync(URL)
+        subscriber.on('message', (topic, payload) => messages.set(topic, payload.toString()))
+        await subscriber.subscribeAsync('amber/#')
+        bridge = new MqttBridge({ lab: camera }, { url: URL, interval: 50 })
+        await bridge.start()
+    })
+
+    after(async() => {
+        await bridge.stop()
+        await subscriber.endAsync()
+        await camera.close()
+        await simulator.close()
+        await new Promise(res => broker.close(res))
+        await new Promise(res => server.close(res))
+    })
+
+    it('publishes modes, status and health', async() => {
+        assert.equal(await waitFor('amber/bridge/availability'), 'online')
+        assert.equal(await waitFor('amber/lab/availability'), 'online')
+        assert.equal(await waitFor('amber/lab/nuc'), 'cold')
+        assert.equal(await waitFor('amber/lab/lut'), 'black-and-white')
+        const status = JSON.parse(await waitFor('amber/lab/status'))
+        assert.equal(typeof status.numPowerCycles, 'number')
+        const health = JSON.parse(await waitFor('amber/lab/health'))
+        assert.equal(health.responsive, true)
+        assert.equal(health.failures, 0)
+    })
+    it('runs setters from set topics', async() => {
+        await subscriber.publishAsync('amber/lab/nuc/set', 'warm')
+        assert.equal(await waitFor('amber/lab/nuc', value => value === 'warm'), 'warm')
+        assert.equal(simulator.nuc, 3)
+        const applied = once(bridge, 'command')
+        await subscriber.publishAsync('amber/lab/agc/set', 'off')
+        assert.deepEqual(await applied, [{ camera: 'lab', command: 'agc', value: 'off' }])
+        assert.equal(await waitFor('amber/lab/agc'), 'false')
+    })
+    it('runs calibrations', async() => {
+        const done = once(bridge, 'command')
+        await subscriber.publishAsync('amber/lab/calibrate/set', '1-point')
+        assert.deepEqual(await done, [{ camera: 'lab', command: 'calibrate', value: '1-point' }])
+    })
+    it('reports invalid commands on the error topic', async() => {
+        const failed = once(bridge, 'commandError')
+        await subscriber.publishAsync('amber/lab/lut/set', 'rainbow')
+        const [{ error }] = await failed
+        assert.ok(error instanceof ValidationError)
+        const report = JSON.parse(await waitFor('amber/lab/error'))
+        assert.deepEqual(report, { command: 'lut', code: 'INVALID_ARGUMENT', message: error.message })
+        await subscriber.publishAsync('amber/lab/zoom/set', '2')
+        assert.equal(JSON.parse(await waitFor('amber/lab/error', value => value.includes('zoom'))).code, 'INVALID_ARGUMENT')
+    })
+    it('rejects camera IDs and prefixes that would clash with topics', () => {
+        assert.throws(() => new MqttBridge({ 'a/b': camera }), ValidationError)
+        assert.throws(() => new MqttBridge({ bridge: camera }), ValidationError)
+        for (const prefix of ['amber/+', 'amber/#', '', 'site//amber', '/amber', 'amber/']) {
+            assert.throws(() => new MqttBridge({ lab: camera }, { prefix }), { code: 'INVALID_ARGUMENT' })
+        }
+        assert.equal(new MqttBridge({ lab: camera }, { prefix: 'site/amber' }).availabilityTopic, 'site/amber/bridge/availability')
+    })
+    it('publishes its last will when the connection drops', async() => {
+        const other = new MqttBridge({}, { url: URL, prefix: 'amber-will' })
+        await other.start()
+        await subscriber.subscribeAsync('amber-will/#')
+        assert.equal(await waitFor('amber-will/bridge/availability'), 'online')
+        other.client.stream.destroy()
+        assert.equal(await waitFor('amber-will/bridge/availability', value => value === 'offline'), 'offline')
+        await other.client.endAsync(true)
+    })
+})
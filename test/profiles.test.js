@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { ProfileStore } from '../lib/profiles.js'
+import { ValidationError } from '../index.js'
+
+let directory, store
+
+describe('Profile Store', () => {
+    beforeEach(async() => {
+        directory = await mkdtemp(join(tmpdir(), 'amber-profiles-'))
+        store = new ProfileStore(directory)
+    })
+
+    afterEach(async() => {
+        await rm(directory, { recursive: true, force: true })
+    })
+
+    it('saves and loads named profiles', async() => {
+        await store.save('Outdoor Night', { nuc: 'cold', lut: 'black-and-white', itt: 'linear', agc: 'horizon', osd: false })
+        const contents = JSON.parse(await readFile(join(directory, 'outdoor-night.json'), 'utf8'))
+        assert.equal(contents.name, 'Outdoor Night')
+        const profile = await store.load('Outdoor Night')
+        assert.deepEqual(profile, { nuc: 'cold', lut: 'black-and-white', itt: 'linear', agc: 'horizon', osd: false, name: 'Outdoor Night' })
+    })
+    it('lists and deletes profiles', async() => {
+        await store.save('lab hot target', { nuc: 'hot' })
+        await store.save('outdoor night', { nuc: 'cold' })
+        assert.deepEqual(await store.list(), ['lab hot target', 'outdoor night'])
+        await store.delete('lab hot target')
+        assert.deepEqual(await store.list(), ['outdoor night'])
+    })
+    it('skips invalid files when listing', async() => {
+        await store.save('outdoor night', { nuc: 'cold' })
+        // Partially written
+        await writeFile(join(directory, 'broken.json'), '{"name": "bro')
+        await writeFile(join(directory, 'edited.json'), JSON.stringify({ name: 'edited', itt: 'wavy' }))
+        assert.deepEqual(await store.list(), ['outdoor night'])
+        await assert.rejects(() => store.load('broken'), error => {
+            assert.ok(error instanceof ValidationError)
+            assert.equal(error.code, 'INVALID_ARGUMENT')
+            assert.equal(error.value, 'broken.json')
+            return true
+        })
+    })
+    it('lists nothing for a missing directory', async() => {
+        assert.deepEqual(await new ProfileStore(join(directory, 'missing')).list(), [])
+    })
+    it('validates profiles when saving', async() => {
+        await assert.rejects(() => store.save('bad', { lut: 'rainbow' }), /Option "rainbow" is invalid/)
+        await assert.rejects(() => store.save('bad', { zoom: 2 }), /Unknown profile field "zoom"/)
+        await assert.rejects(() => store.save('bad', { osd: 'yes' }), /Profile field "osd" must be true or false/)
+        await assert.rejects(() => store.save('!!!', { nuc: 'hot' }), { code: 'INVALID_ARGUMENT', message: /must contain at least one letter or number/ })
+    })
+    it('validates profiles when loading', async() => {
+        await writeFile(join(directory, 'edited.json'), JSON.stringify({ name: 'edited', itt: 'wavy' }))
+        await assert.rejects(() => store.load('edited'), /Option "wavy" is invalid/)
+        await assert.rejects(() => store.load('missing'), { code: 'NOT_FOUND', item: 'missing', message: /No profile named "missing"/ })
+    })
+})
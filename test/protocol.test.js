@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { ChecksumError, decode, defineFunction, defineModes, encode, FrameDecoder, FUNCTIONS, LUT_MODES, MODES, modeName } from '../lib/protocol.js'
+import { Camera, ValidationError } from '../index.js'
+
+describe('Protocol', () => {
+    it('encodes command frames', () => {
+        assert.deepEqual(encode(1, 7, 5, [3]), Buffer.from([3, 0, 1, 7, 5, 1, 0xff, 0xff, 2, 0, 3, 0, 20, 2, 0, 0]))
+        assert.deepEqual(encode(2, 3, 5), Buffer.from([3, 0, 1, 3, 5, 2, 0xff, 0xff, 0, 0, 12, 2, 0, 0]))
+    })
+    it('decodes reply frames', () => {
+        const frame = Buffer.from([3, 0, 1, 7, 6, 9, 0, 0, 2, 0, 4, 0, 32, 0, 0, 0])
+        assert.deepEqual(decode(frame), { command: 7, subCommand: 6, messageID: 9, response: Buffer.from([4, 0]) })
+        frame[12]++
+        assert.throws(() => decode(frame), error => error instanceof ChecksumError && error.code === 'CHECKSUM_MISMATCH' && error.frame === frame && error.messageID === 9)
+        assert.throws(() => decode(frame.subarray(0, 12)), ValidationError)
+    })
+    it('decodes a byte stream', () => {
+        const decoder = new FrameDecoder()
+        const frames = []
+        decoder.on('frame', frame => frames.push(frame))
+        const stream = Buffer.concat([encode(1, 4, 1), encode(2, 5, 1, [2])])
+        for (const byte of stream) {
+            decoder.push(Buffer.from([byte]))
+        }
+        assert.deepEqual(frames.map(frame => [frame.command, frame.subCommand, frame.messageID]), [[4, 1, 1], [5, 1, 2]])
+    })
+    it('looks up mode names', () => {
+        assert.equal(modeName(LUT_MODES, 2), 'color')
+        assert.equal(modeName(LUT_MODES, 99), undefined)
+    })
+    it('registers functions', () => {
+        assert.deepEqual(defineFunction('PROTOCOL_TEST', [9, 1]), [9, 1])
+        assert.deepEqual(FUNCTIONS.PROTOCOL_TEST, [9, 1])
+        assert.throws(() => defineFunction('PROTOCOL_TEST', [9, 2]), /already defined/)
+        assert.throws(() => defineFunction('NUC_GET', [9, 2]), /already defined/)
+        assert.throws(() => defineFunction('BAD_TEST', [256, 0]), ValidationError)
+    })
+    it('registers mode tables', () => {
+        defineModes('zoom', { wide: 1, narrow: 2 })
+        assert.deepEqual(MODES.zoom, { wide: 1, narrow: 2 })
+        assert.throws(() => defineModes('lut', { color: 5 }), /already defined/)
+        assert.throws(() => defineModes('lut', { ironbow: -1 }), ValidationError)
+    })
+})
+
+let simulator, camera
+
+describe('Raw Commands', () => {
+    before(async() => {
+        simulator = new Simulator()
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port, responseTimeout: 100 })
+        await camera.connect()
+    })
+
+    after(async() => {
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('sends raw commands', async() => {
+        simulator.nuc = 3
+        const frame = await camera.sendRaw(7, 6)
+        assert.equal(frame.length, 16)
+        assert.deepEqual(decode(frame).response, Buffer.from([3, 0]))
+        await camera.sendRaw(5, 1, 2, { timeout: 200 })
+        assert.equal(simulator.lut, 2)
+    })
+    it('sends commands with data words', async() => {
+        await camera.send(7, 5, 2)
+        assert.equal(simulator.nuc, 2)
+        assert.deepEqual(await camera.send(7, 6, { timeout: 200 }), Buffer.from([2, 0]))
+    })
+    it('rejects invalid raw commands', async() => {
+        await assert.rejects(() => camera.sendRaw(7, 300), ValidationError)
+        await assert.rejects(() => camera.sendRaw(5, 1, 70000), { code: 'INVALID_ARGUMENT' })
+    })
+    it('times out on unknown functions', async() => {
+        await assert.rejects(() => camera.sendRaw(12, 34), { name: 'ResponseTimeoutError', code: 'RESPONSE_TIMEOUT' })
+    })
+    it('calls registered functions', async() => {
+        Camera.defineFunction('TEST_NUC_GET', [7, 6], { decode: response => response.readUInt16LE(0) })
+        Camera.defineFunction('TEST_ITT_SET', [5, 4])
+        simulator.nuc = 2
+        assert.equal(await camera.call('TEST_NUC_GET'), 2)
+        await camera.call('TEST_ITT_SET', 3)
+        assert.equal(simulator.itt, 3)
+        await assert.rejects(() => camera.call('NOT_DEFINED'), /Unknown function/)
+    })
+    it('uses added modes', async() => {
+        Camera.defineModes('lut', { ironbow: 4 })
+        await camera.setLUT('ironbow')
+        assert.equal(simulator.lut, 4)
+        assert.equal(await camera.getLUT(), 'ironbow')
+    })
+})
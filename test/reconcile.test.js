@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { AGC_MODES, Camera, LUT_MODES, NUC_MODES, ValidationError } from '../index.js'
+
+const DESIRED = { nuc: 'warm', lut: 'sepia', agc: 'full', osd: false }
+let simulator, camera
+
+describe('Desired State', () => {
+    beforeEach(async() => {
+        simulator = new Simulator()
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port })
+        await camera.connect()
+    })
+
+    afterEach(async() => {
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('applies the desired state', async() => {
+        const events = []
+        camera.on('driftDetected', details => events.push(['driftDetected', details]))
+        camera.on('reconciled', details => events.push(['reconciled', details]))
+        const drift = await camera.setDesiredState(DESIRED)
+        assert.deepEqual(drift, [
+            { field: 'nuc', expected: 'warm', actual: 'cold' },
+            { field: 'lut', expected: 'sepia', actual: 'black-and-white' },
+            { field: 'agc', expected: 'full', actual: 'off' },
+            { field: 'osd', expected: false, actual: undefined }
+        ])
+        assert.deepEqual(events, [['driftDetected', { reason: 'desiredState', drift }], ['reconciled', { reason: 'desiredState', drift }]])
+        assert.equal(simulator.nuc, NUC_MODES.warm)
+        assert.equal(simulator.lut, LUT_MODES.sepia)
+        assert.equal(simulator.agc, AGC_MODES.full)
+        assert.equal(simulator.osd, false)
+        // Nothing left to do
+        assert.deepEqual(await camera.reconcile(), [])
+    })
+    it('restores settings after a power cycle', async() => {
+        await camera.setDesiredState(DESIRED)
+        await camera.getStatus()
+        simulator.powerCycle()
+        assert.equal(simulator.lut, LUT_MODES['black-and-white'])
+        const drifted = once(camera, 'driftDetected')
+        const reconciled = once(camera, 'reconciled')
+        await camera.getStatus()
+        const [{ reason, drift }] = await drifted
+        assert.equal(reason, 'powerCycle')
+        assert.deepEqual(drift.map(({ field }) => field), ['nuc', 'lut', 'agc', 'osd'])
+        await reconciled
+        assert.equal(simulator.nuc, NUC_MODES.warm)
+        assert.equal(simulator.lut, LUT_MODES.sepia)
+        assert.equal(simulator.agcEnabled, true)
+        assert.equal(simulator.osd, false)
+    })
+    it('reconciles after a reconnect', async() => {
+        await camera.setDesiredState({ lut: 'color', osd: false })
+        // Changed behind the camera's back while the connection was down
+        simulator.lut = LUT_MODES.sepia
+        const reconciled = once(camera, 'reconciled')
+        camera.controller.emit('connect')
+        const [{ reason, drift }] = await reconciled
+        assert.equal(reason, 'reconnect')
+        // OSD can't be read back, so it is always re-applied
+        assert.deepEqual(drift, [{ field: 'lut', expected: 'color', actual: 'sepia' }, { field: 'osd', expected: false, actual: undefined }])
+        assert.equal(simulator.lut, LUT_MODES.color)
+    })
+    it('reports nothing when the state has not drifted', async() => {
+        await camera.setDesiredState({ nuc: 'cold' })
+        const drifted = []
+        camera.on('driftDetected', details => drifted.push(details))
+        const reconciled = once(camera, 'reconciled')
+        camera.controller.emit('connect')
+        assert.deepEqual(await reconciled, [{ reason: 'reconnect', drift: [] }])
+        assert.deepEqual(drifted, [])
+    })
+    it('stops when the desired state is cleared', async() => {
+        await camera.setDesiredState({ lut: 'color' })
+        assert.deepEqual(await camera.setDesiredState(null), [])
+        await camera.getStatus()
+        simulator.powerCycle()
+        let reconciled = false
+        camera.on('reconciled', () => {
+            reconciled = true
+        })
+        await camera.getStatus()
+        assert.equal(reconciled, false)
+        assert.equal(simulator.lut, LUT_MODES['black-and-white'])
+    })
+    it('validates the desired state', () => {
+        assert.throws(() => camera.setDesiredState({ lut: 'rainbow' }), ValidationError)
+        assert.throws(() => new Camera({ host: '127.0.0.1', port: simulator.address().port, desiredState: { zoom: 2 } }), ValidationError)
+    })
+})
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { formatReport, FunctionScanner, parseRange } from '../lib/scanner.js'
+import { Camera } from '../index.js'
+
+let simulator, camera
+
+describe('Function Scanner', () => {
+    before(async() => {
+        simulator = new Simulator()
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port })
+        await camera.connect()
+    })
+
+    after(async() => {
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('parses code ranges', () => {
+        assert.deepEqual(parseRange('2,5-7,0x0c'), [2, 5, 6, 7, 12])
+        assert.throws(() => parseRange('7-5'), RangeError)
+        assert.throws(() => parseRange('300'), RangeError)
+    })
+    it('classifies replies', async() => {
+        // LUT_SET needs a value, so it goes unanswered without one
+        const scanner = new FunctionScanner(camera, { functions: [5], subFunctions: parseRange('0-3'), timeout: 50, allow: ['INVERT_IMAGE', [5, 1]] })
+        const probes = []
+        scanner.on('probe', result => probes.push(result))
+        const report = await scanner.scan()
+        simulator.imageInverted = false
+        assert.deepEqual(report.results, [
+            { function: 5, subFunction: 0, name: 'INVERT_IMAGE', result: 'ack', size: 0 },
+            { function: 5, subFunction: 1, name: 'LUT_SET', result: 'none' },
+            { function: 5, subFunction: 2, name: 'LUT_GET', result: 'data', size: 2, data: '0100' },
+            { function: 5, subFunction: 3, name: undefined, result: 'none' }
+        ])
+        assert.equal(probes.length, 4)
+        assert.deepEqual(report.functions, {})
+    })
+    it('skips codes with side effects unless allowed', async() => {
+        const commands = []
+        simulator.on('command', ({ functionCode, subFunctionCode }) => commands.push([functionCode, subFunctionCode]))
+        const report = await new FunctionScanner(camera, { functions: [3, 4], subFunctions: [1, 2, 3], timeout: 50 }).scan()
+        assert.deepEqual(report.skipped.map(({ name }) => name), ['COOLER_OFF', 'COOLER_ON', 'FREEZE_FRAME'])
+        assert.ok(!commands.some(([fn, sub]) => fn === 3 && sub > 1 || fn === 4 && sub === 1))
+        assert.equal(simulator.cooler, true)
+
+        const allowed = await new FunctionScanner(camera, { functions: [4], subFunctions: [1], allow: ['FREEZE_FRAME'] }).scan()
+        assert.equal(allowed.results[0].result, 'ack')
+        assert.equal(simulator.frozen, true)
+    })
+    it('leaves the camera settings alone by default', async() => {
+        const fields = ['imageInverted', 'agcEnabled', 'agc', 'nuc', 'lut', 'itt', 'contrast', 'brightness', 'frozen', 'osd', 'colorBar', 'cooler']
+        const settings = () => Object.fromEntries(fields.map(field => [field, simulator[field]]))
+        const before = settings()
+        const report = await new FunctionScanner(camera, { functions: [1, 4, 5, 6, 7], subFunctions: parseRange('0-13'), timeout: 20 }).scan()
+        assert.deepEqual(settings(), before)
+        assert.deepEqual(report.skipped.map(({ name }) => name), [
+            'AGC_OFF', 'AGC_ON', 'AGC_SET',
+            'FREEZE_FRAME', 'BRIGHTNESS_UP', 'BRIGHTNESS_DOWN', 'CONTRAST_UP', 'CONTRAST_DOWN',
+            'INVERT_IMAGE', 'LUT_SET', 'ITT_SET', 'COLOR_BAR_OFF', 'COLOR_BAR_ON',
+            'OSD_OFF', 'OSD_ON',
+            'CALIBRATE_1_POINT', 'CALIBRATE_2_POINT', 'NUC_SET'
+        ])
+    })
+    it('reports new codes as table entries', async() => {
+        const scanner = new FunctionScanner(camera, { functions: [2], subFunctions: [0, 1], timeout: 50, skipKnown: true })
+        // Pretend the camera answers 2/0 with data
+        scanner.probe = (command, subCommand) => Promise.resolve({ function: command, subFunction: subCommand, name: undefined, ...subCommand ? { result: 'none' } : { result: 'data', size: 2, data: '2a00' } })
+        const report = await scanner.scan()
+        assert.deepEqual(report.functions, { UNKNOWN_2_0: [2, 0] })
+        assert.equal(formatReport(report), '    UNKNOWN_2_0: [2, 0], // data reply, 2 bytes: 2a00')
+    })
+})
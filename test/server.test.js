@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { once } from 'node:events'
+import WebSocket from 'ws'
+import { Simulator } from '../lib/simulator.js'
+import { CameraServer } from '../lib/server.js'
+import { Camera } from '../index.js'
+
+let simulator, camera, server, baseURL
+
+function request(method, path, body) {
+    return fetch(`${baseURL}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    })
+}
+
+// Collect WebSocket messages until one matches
+function nextMessage(ws, predicate) {
+    return new Promise(resolve => {
+        ws.on('message', function listener(data) {
+            const message = JSON.parse(data)
+            if (!predicate(message)) return
+            ws.off('message', listener)
+            resolve(message)
+        })
+    })
+}
+
+describe('Control Server', () => {
+    beforeEach(async() => {
+        simulator = new Simulator()
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port, responseTimeout: 100 })
+        await camera.connect()
+        server = new CameraServer(camera)
+        await server.listen(0, '127.0.0.1')
+        baseURL = `http://127.0.0.1:${server.address().port}`
+    })
+
+    afterEach(async() => {
+        await server.close()
+        await camera.close()
+        await simulator.close()
+    })
+
+    describe('REST', () => {
+        it('gets status', async() => {
+            const res = await request('GET', '/status')
+            assert.equal(res.status, 200)
+            assert.deepEqual(await res.json(), { numCoolerCycles: 22246, numPowerCycles: 22371, coolerTime: 1431779362 })
+        })
+        it('gets and sets modes', async() => {
+            let res = await request('PUT', '/nuc', { mode: 'warm' })
+            assert.equal(res.status, 200)
+            assert.equal(simulator.nuc, 3)
+            res = await request('GET', '/nuc')
+            assert.deepEqual(await res.json(), { mode: 'warm' })
+            await request('PUT', '/lut', { mode: 'sepia' })
+            assert.equal(simulator.lut, 3)
+            await request('PUT', '/itt', { mode: 'inverse' })
+            assert.equal(simulator.itt, 2)
+            await request('PUT', '/agc', { mode: 'center' })
+            assert.equal(simulator.agc, 2)
+            res = await request('GET', '/agc')
+            assert.deepEqual(await res.json(), { enabled: true })
+        })
+        it('runs actions', async() => {
+            await request('POST', '/brightness', { delta: -2 })
+            assert.equal(simulator.brightness, 98)
+            await request('POST', '/contrast', { delta: 3 })
+            assert.equal(simulator.contrast, 103)
+            await request('PUT', '/cooler', { enabled: false })
+            assert.equal(simulator.cooler, false)
+            await request('PUT', '/color-bar', { enabled: true })
+            assert.equal(simulator.colorBar, true)
+            await request('POST', '/freeze-frame')
+            assert.equal(simulator.frozen, true)
+            await request('POST', '/calibration/2-point')
+            assert.equal(simulator.running2PointCalibration, true)
+        })
+        it('validates input against the mode tables', async() => {
+            const res = await request('PUT', '/lut', { mode: 'rainbow' })
+            assert.equal(res.status, 400)
+            const { error } = await res.json()
+            assert.equal(error.code, 'INVALID_OPTION')
+            assert.deepEqual(error.allowed, ['black-and-white', 'color', 'sepia'])
+        })
+        it('returns structured errors', async() => {
+            let res = await request('PUT', '/osd', {})
+            assert.equal(res.status, 400)
+            assert.equal((await res.json()).error.code, 'MISSING_FIELD')
+            res = await request('POST', '/brightness', { delta: 1.5 })
+            assert.equal((await res.json()).error.code, 'INVALID_VALUE')
+            res = await fetch(`${baseURL}/nuc`, { method: 'PUT', body: '{' })
+            assert.equal((await res.json()).error.code, 'INVALID_JSON')
+            res = await request('DELETE', '/nuc')
+            assert.equal(res.status, 405)
+            res = await request('GET', '/teleport')
+            assert.equal(res.status, 404)
+        })
+        it('reports camera timeouts', async() => {
+            simulator.faults.drop = 1
+            const res = await request('GET', '/lut')
+            assert.equal(res.status, 504)
+            assert.equal((await res.json()).error.code, 'RESPONSE_TIMEOUT')
+        })
+    })
+
+    describe('WebSocket', () => {
+        let ws
+
+        beforeEach(async() => {
+            ws = new WebSocket(`${baseURL.replace('http', 'ws')}/ws`)
+            await once(ws, 'open')
+        })
+
+        afterEach(() => {
+            ws.close()
+        })
+
+        it('pushes state changes and results', async() => {
+            const state = nextMessage(ws, message => message.type === 'state')
+            const result = nextMessage(ws, message => message.type === 'result')
+            await request('PUT', '/nuc', { mode: 'hot' })
+            assert.deepEqual((await state).changes, { nuc: 'hot' })
+            assert.deepEqual(await result, { type: 'result', request: 'PUT /nuc', status: 200, body: { mode: 'hot' } })
+        })
+        it('runs commands sent over the socket', async() => {
+            const response = nextMessage(ws, message => message.type === 'response')
+            ws.send(JSON.stringify({ id: 7, method: 'PUT', path: '/osd', body: { enabled: false } }))
+            assert.deepEqual(await response, { type: 'response', id: 7, status: 200, body: { enabled: false } })
+            assert.equal(simulator.osd, false)
+        })
+        it('answers messages that are not objects', async() => {
+            for (const data of ['null', '[1]', '42']) {
+                const response = nextMessage(ws, message => message.type === 'response')
+                ws.send(data)
+                const { status, body } = await response
+                assert.equal(status, 400)
+                assert.equal(body.error.code, 'INVALID_BODY')
+            }
+        })
+        it('pushes changes made outside the server', async() => {
+            const state = nextMessage(ws, message => message.type === 'state')
+            await camera.setLUT('sepia')
+            assert.deepEqual((await state).changes, { lut: 'sepia' })
+        })
+    })
+})
@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { once } from 'node:events'
+import { Socket } from 'node:net'
+import { Simulator } from '../lib/simulator.js'
+
+let simulator, socket, received
+
+// Build a command the way the client sends it
+function createCommand(functionCode, subFunctionCode, messageID, ...data) {
+    const dataBlock = data.length ? [data.length * 2, 0, ...data.flatMap(v => [v & 0xff, v >> 8])] : [0, 0]
+    const command = Buffer.from([3, 0, 1, functionCode, subFunctionCode, messageID, 0xff, 0xff, ...dataBlock, 0, 2, 0, 0])
+    command[command.length - 4] = command.subarray(0, command.length - 4).reduce((a, c) => a + c, 0) % 256
+    return command
+}
+
+// Wait for a full reply frame with the given data size
+async function reply(dataSize = 0) {
+    while (received.length < 14 + dataSize) {
+        await once(socket, 'data')
+    }
+    const frame = received.subarray(0, 14 + dataSize)
+    received = received.subarray(14 + dataSize)
+    return frame
+}
+
+function checksumOf(frame, dataSize = 0) {
+    return frame.subarray(0, 10 + dataSize).reduce((a, c) => a + c, 0) % 256
+}
+
+describe('Camera Simulator', () => {
+    beforeEach(async() => {
+        simulator = new Simulator({ calibrationTime: 20, coolDownTime: 20 })
+        await simulator.listen(0)
+        received = Buffer.alloc(0)
+        socket = new Socket()
+        socket.setNoDelay(true)
+        socket.on('data', data => {
+            received = Buffer.concat([received, data])
+        })
+        await new Promise(res => socket.connect(simulator.address().port, '127.0.0.1', res))
+    })
+
+    afterEach(async() => {
+        socket.destroy()
+        await simulator.close()
+    })
+
+    it('replies to every command in a chunk', async() => {
+        socket.write(Buffer.concat([createCommand(7, 5, 1, 3), createCommand(7, 6, 2)]))
+        const ack = await reply()
+        assert.equal(ack[5], 1)
+        const nuc = await reply(2)
+        assert.equal(nuc[5], 2)
+        assert.equal(nuc[10], 3)
+    })
+    it('rejects when the port is taken', async() => {
+        const other = new Simulator()
+        await assert.rejects(other.listen(simulator.address().port), { code: 'EADDRINUSE' })
+    })
+    it('writes replies a few bytes at a time', () => {
+        const writes = []
+        simulator.respond({ functionCode: 7, subFunctionCode: 6, messageID: 1, response: Buffer.from([1, 0]), client: { write: data => writes.push(data) } })
+        assert.ok(writes.length > 1)
+        assert.ok(writes.every(write => write.length <= 3))
+        assert.equal(Buffer.concat(writes).length, 16)
+    })
+    it('finishes calibrating after a while', async() => {
+        socket.write(createCommand(7, 2, 1, 1, 0))
+        await reply()
+        assert.equal(simulator.running2PointCalibration, true)
+        const [{ points, nuc }] = await once(simulator, 'calibrationComplete')
+        assert.equal(points, 2)
+        assert.equal(nuc, 1)
+        assert.equal(simulator.running2PointCalibration, false)
+    })
+    it('cools down after the cooler is turned on', async() => {
+        simulator.coolDownTime = 200
+        socket.write(createCommand(3, 2, 1))
+        await reply()
+        assert.equal(simulator.coolerState, 'off')
+        socket.write(createCommand(3, 3, 2))
+        await reply()
+        assert.equal(simulator.coolerState, 'cooling')
+        assert.equal(simulator.numCoolerCycles, 22247)
+        await once(simulator, 'coolerReady')
+        assert.equal(simulator.coolerState, 'ready')
+    })
+    it('counts power cycles and restores defaults', async() => {
+        simulator.lut = 3
+        simulator.powerCycle()
+        assert.equal(simulator.lut, 1)
+        socket.write(createCommand(3, 5, 1))
+        const status = await reply(8)
+        assert.equal(status.readUInt16LE(12), 22372)
+    })
+    it('drops replies', async() => {
+        simulator.dropNext()
+        socket.write(createCommand(6, 0, 1))
+        socket.write(createCommand(6, 1, 2))
+        const ack = await reply()
+        assert.equal(ack[5], 2)
+    })
+    it('corrupts checksums', async() => {
+        simulator.corruptNext()
+        socket.write(createCommand(5, 2, 1))
+        const frame = await reply(2)
+        assert.notEqual(frame[12], checksumOf(frame, 2))
+        socket.write(createCommand(5, 2, 2))
+        const valid = await reply(2)
+        assert.equal(valid[12], checksumOf(valid, 2))
+    })
+    it('delays replies', async() => {
+        simulator.faults.latency = 30
+        const start = Date.now()
+        socket.write(createCommand(4, 1, 1))
+        await reply()
+        assert.ok(Date.now() - start >= 25)
+    })
+    it('ignores rejected and unknown functions', async() => {
+        simulator.faults.reject = [[5, 4]]
+        socket.write(createCommand(5, 4, 1, 2))
+        socket.write(createCommand(2, 0, 2))
+        socket.write(createCommand(5, 5, 3))
+        const itt = await reply(2)
+        assert.equal(itt[5], 3)
+        assert.equal(itt[10], 1)
+    })
+})
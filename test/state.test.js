@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { Camera, UnknownStateError, ValidationError } from '../index.js'
+
+let simulator, camera
+
+describe('Shadow State', () => {
+    beforeEach(async() => {
+        simulator = new Simulator()
+        await simulator.listen(0)
+        camera = new Camera({ host: '127.0.0.1', port: simulator.address().port })
+        await camera.connect()
+    })
+
+    afterEach(async() => {
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('starts out unknown', () => {
+        assert.deepEqual(camera.state, {
+            connected: true,
+            nuc: undefined,
+            lut: undefined,
+            itt: undefined,
+            agc: undefined,
+            agcEnabled: undefined,
+            osd: undefined,
+            colorBar: undefined,
+            frozen: undefined,
+            inverted: undefined,
+            cooler: undefined,
+            brightness: undefined,
+            contrast: undefined
+        })
+    })
+    it('tracks commands and readbacks', async() => {
+        const changes = []
+        camera.on('stateChange', event => changes.push(event.changes))
+        await camera.setLUT('color')
+        await camera.getNUC()
+        await camera.toggleOSD(false)
+        // Unchanged readbacks don't emit
+        await camera.getLUT()
+        assert.deepEqual(changes, [{ lut: 'color' }, { nuc: 'cold' }, { osd: false }])
+        assert.equal(camera.state.lut, 'color')
+        assert.equal(camera.state.nuc, 'cold')
+        assert.equal(camera.state.osd, false)
+    })
+    it('reports the AGC mode', async() => {
+        assert.equal(await camera.getAGCMode(), 'off')
+        await camera.setAGC('center')
+        assert.equal(await camera.getAGCMode(), 'center')
+        await camera.setAGC('off')
+        // Turned on from elsewhere, so the region is unknown
+        simulator.agcEnabled = true
+        assert.equal(await camera.getAGCMode(), undefined)
+        assert.equal(camera.state.agcEnabled, true)
+    })
+    it('sets freeze frame and inversion either way', async() => {
+        await assert.rejects(() => camera.setFreezeFrame(true), UnknownStateError)
+        await assert.rejects(camera.setInverted('yes'), ValidationError)
+        await assert.rejects(camera.setFreezeFrame(null), { code: 'INVALID_ARGUMENT' })
+        assert.throws(() => camera.setStateReference({ frozen: 'no' }), ValidationError)
+        assert.equal(camera.state.frozen, undefined)
+        camera.setStateReference({ frozen: false, inverted: false })
+        let commands = 0
+        simulator.on('command', () => commands++)
+        await camera.setFreezeFrame(true)
+        assert.equal(simulator.frozen, true)
+        await camera.setFreezeFrame(true)
+        assert.equal(commands, 1)
+        await camera.toggleFreezeFrame()
+        assert.equal(camera.state.frozen, false)
+        assert.equal(simulator.frozen, false)
+        await camera.setInverted(true)
+        assert.equal(simulator.imageInverted, true)
+        await camera.invertImage()
+        assert.equal(camera.state.inverted, false)
+        assert.equal(simulator.imageInverted, false)
+    })
+    it('knows the toggle states after a power cycle', async() => {
+        await camera.setLUT('sepia')
+        await camera.getStatus()
+        simulator.powerCycle()
+        await camera.getStatus()
+        assert.equal(camera.state.lut, undefined)
+        assert.equal(camera.state.frozen, false)
+        assert.equal(camera.state.inverted, false)
+        await camera.setFreezeFrame(true)
+        assert.equal(simulator.frozen, true)
+    })
+})
@@ -0,0 +1,198 @@
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+import { connect, createServer } from 'node:net'
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { COM_PORT_COMMANDS, escapeIAC, OPTIONS, SERVER_OFFSET, TELNET, TelnetParser } from '../lib/rfc2217.js'
+import { createLoopback, LoopbackDevice } from '../lib/transports.js'
+import { Camera, LUT_MODES, NUC_MODES, ValidationError } from '../index.js'
+
+// Minimal RFC 2217 serial server in front of a simulator. Records the COM port commands it receives.
+function createRFC2217Server(simulator, { refuse = false } = {}) {
+    const commands = []
+    const server = createServer(socket => {
+        const { IAC, SB, SE, DO, DONT, WILL } = TELNET
+        const parser = new TelnetParser()
+        // The simulator writes its replies to the serial line
+        const line = new EventEmitter()
+        line.write = data => socket.write(escapeIAC(data))
+        simulator.attachClient(line)
+        socket.on('data', chunk => parser.push(chunk))
+        socket.on('close', () => line.emit('close'))
+        parser.on('data', data => line.emit('data', data))
+        parser.on('negotiate', ({ command, option }) => {
+            if (command === WILL && option === OPTIONS.COM_PORT) socket.write(Buffer.from([IAC, refuse ? DONT : DO, OPTIONS.COM_PORT]))
+        })
+        parser.on('subnegotiate', ({ option, data }) => {
+            if (option !== OPTIONS.COM_PORT) return
+            commands.push([data[0], data.subarray(1)])
+            socket.write(Buffer.concat([Buffer.from([IAC, SB, OPTIONS.COM_PORT, data[0] + SERVER_OFFSET]), escapeIAC(data.subarray(1)), Buffer.from([IAC, SE])]))
+        })
+    })
+    return { server, commands }
+}
+
+describe('Transports', () => {
+    describe('Telnet', () => {
+        it('escapes and parses IAC bytes across chunks', () => {
+            assert.deepEqual(escapeIAC(Buffer.from([1, 255, 2])), Buffer.from([1, 255, 255, 2]))
+            const parser = new TelnetParser()
+            const events = []
+            parser.on('data', data => events.push(['data', [...data]]))
+            parser.on('negotiate', details => events.push(['negotiate', details]))
+            parser.on('subnegotiate', ({ option, data }) => events.push(['subnegotiate', option, [...data]]))
+            parser.push(Buffer.from([1, 255]))
+            parser.push(Buffer.from([255, 2, 255, 253, 44, 255, 250, 44, 101, 0, 0, 255]))
+            parser.push(Buffer.from([255, 128, 255, 240, 3]))
+            assert.deepEqual(events, [
+                ['data', [1]],
+                ['data', [255, 2]],
+                ['negotiate', { command: TELNET.DO, option: 44 }],
+                ['subnegotiate', 44, [101, 0, 0, 255, 128]],
+                ['data', [3]]
+            ])
+        })
+    })
+
+    describe('Loopback', () => {
+        let simulator, camera
+
+        beforeEach(async() => {
+            simulator = new Simulator()
+            camera = new Camera({ transport: 'loopback', peer: simulator })
+            await camera.connect()
+        })
+
+        afterEach(async() => {
+            await camera.close()
+            await simulator.close()
+        })
+
+        it('talks to a simulator in memory', async() => {
+            await camera.setNUC('hot')
+            assert.equal(simulator.nuc, NUC_MODES.hot)
+            assert.equal((await camera.getStatus()).numPowerCycles, simulator.numPowerCycles)
+        })
+        it('times out when a reply is dropped', async() => {
+            simulator.dropNext()
+            await assert.rejects(camera.getNUC({ timeout: 50, retries: 0 }), { code: 'RESPONSE_TIMEOUT', timeout: 50 })
+        })
+        it('fails commands once the other end hangs up', async() => {
+            await simulator.close()
+            await assert.rejects(camera.getLUT(), { code: 'NOT_CONNECTED' })
+        })
+        it('connects both ends of a loopback pair', async() => {
+            const [a, b] = createLoopback()
+            const received = new Promise(res => b.once('data', res))
+            a.write('ping')
+            assert.equal(String(await received), 'ping')
+            a.destroy()
+            assert.equal(b.destroyed, true)
+        })
+    })
+
+    describe('Streams', () => {
+        let simulator
+
+        before(async() => {
+            simulator = new Simulator()
+            await simulator.listen(0)
+        })
+
+        after(async() => {
+            await simulator.close()
+        })
+
+        it('runs over any Duplex stream', async() => {
+            // Like a forwarded SSH channel, opened again on every connect
+            let opened = 0
+            const camera = new Camera({
+                stream: () => {
+                    opened++
+                    const socket = connect(simulator.address().port, '127.0.0.1')
+                    return new Promise(res => socket.once('connect', () => res(socket)))
+                }
+            })
+            try {
+                await camera.connect()
+                await camera.setLUT('sepia')
+                assert.equal(simulator.lut, LUT_MODES.sepia)
+                await camera.close()
+                await camera.connect()
+                assert.equal(await camera.getLUT(), 'sepia')
+                assert.equal(opened, 2)
+            } finally {
+                await camera.close()
+            }
+        })
+        it('registers transports', async() => {
+            const names = Camera.defineTransport('bench', ({ port }) => new LoopbackDevice({ peer: port }))
+            assert.ok(names.includes('bench'))
+            const camera = new Camera({ transport: 'bench', port: simulator })
+            try {
+                await camera.connect()
+                await camera.setNUC('mid')
+                assert.equal(simulator.nuc, NUC_MODES.mid)
+            } finally {
+                await camera.close()
+            }
+            assert.throws(() => Camera.defineTransport('broken', {}), ValidationError)
+            assert.throws(() => new Camera({ transport: 'carrier-pigeon' }), ValidationError)
+            assert.throws(() => new Camera({ transport: 'stream' }), ValidationError)
+        })
+    })
+
+    describe('RFC 2217', () => {
+        let simulator, rfc2217, camera
+
+        beforeEach(async() => {
+            simulator = new Simulator()
+            rfc2217 = createRFC2217Server(simulator)
+            await new Promise(res => rfc2217.server.listen(0, '127.0.0.1', res))
+            camera = new Camera({ transport: 'rfc2217', host: '127.0.0.1', port: rfc2217.server.address().port, baudRate: 9600, parity: 'even' })
+        })
+
+        afterEach(async() => {
+            await camera.close()
+            await simulator.close()
+            await new Promise(res => rfc2217.server.close(res))
+        })
+
+        it('sets up the serial line when connecting', async() => {
+            await camera.connect()
+            const { SET_BAUDRATE, SET_DATASIZE, SET_PARITY, SET_STOPSIZE, SET_CONTROL } = COM_PORT_COMMANDS
+            assert.deepEqual(rfc2217.commands.map(([code, value]) => [code, [...value]]), [
+                [SET_BAUDRATE, [0, 0, 0x25, 0x80]],
+                [SET_DATASIZE, [8]],
+                [SET_PARITY, [3]],
+                [SET_STOPSIZE, [1]],
+                [SET_CONTROL, [1]]
+            ])
+            await camera.setLUT('color')
+            assert.equal(simulator.lut, LUT_MODES.color)
+            assert.equal((await camera.getStatus()).numCoolerCycles, simulator.numCoolerCycles)
+        })
+        it('changes line settings', async() => {
+            await camera.connect()
+            // 0xFF bytes in the value are escaped
+            assert.deepEqual(await camera.controller.configure({ baudRate: 0xff00, stopBits: 2 }), {
+                baudRate: 0xff00,
+                dataBits: 8,
+                parity: 'even',
+                stopBits: 2,
+                flowControl: 'none'
+            })
+            assert.deepEqual([...rfc2217.commands[5][1]], [0, 0, 0xff, 0])
+            await assert.rejects(camera.controller.configure({ parity: 'sometimes' }), ValidationError)
+        })
+        it('fails to connect when COM port control is refused', async() => {
+            await camera.close()
+            await simulator.close()
+            await new Promise(res => rfc2217.server.close(res))
+            rfc2217 = createRFC2217Server(simulator, { refuse: true })
+            await new Promise(res => rfc2217.server.listen(0, '127.0.0.1', res))
+            camera = new Camera({ transport: 'rfc2217', host: '127.0.0.1', port: rfc2217.server.address().port })
+            await assert.rejects(camera.connect(), /refused RFC 2217/)
+        })
+    })
+})
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import { PassThrough, Writable } from 'node:stream'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { Simulator } from '../lib/simulator.js'
+import { ControlPanel, KEY_BINDINGS, renderPanel } from '../lib/tui.js'
+import { Camera, ITT_MODES, LUT_MODES, NUC_MODES } from '../index.js'
+
+let simulator, camera, input, screen, panel
+
+// Wait for the simulator or panel to catch up with a keypress
+async function until(predicate, timeout = 2000) {
+    const deadline = Date.now() + timeout
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${predicate}`)
+        await sleep(5)
+    }
+}
+
+describe('Terminal Control Panel', () => {
+    beforeEach(async() => {
+        simulator = new Simulator({ calibrationTime: 20, busyWhileCalibrating: true })
+        camera = new Camera({ transport: 'loopback', peer: simulator })
+        await camera.connect()
+        input = new PassThrough()
+        screen = ''
+        const output = new Writable({
+            write(chunk, encoding, cb) {
+                screen += chunk
+                cb()
+            }
+        })
+        panel = new ControlPanel(camera, { input, output, statusInterval: 20, calibration: { duration: 5, pollInterval: 5, pollTimeout: 20, timeout: 1000 } })
+        await panel.start()
+    })
+
+    afterEach(async() => {
+        panel.stop()
+        await camera.close()
+        await simulator.close()
+    })
+
+    it('reads the modes and status counters on start', async() => {
+        assert.deepEqual([camera.state.nuc, camera.state.lut, camera.state.itt, camera.state.agc], ['cold', 'black-and-white', 'linear', 'off'])
+        await until(() => panel.status)
+        assert.equal(panel.status.numPowerCycles, simulator.numPowerCycles)
+        await until(() => /Power cycles\s+22371/.test(screen))
+        assert.match(screen, /NUC\s+cold/)
+    })
+    it('steps brightness and contrast with the arrow keys', async() => {
+        input.write('\x1b[A\x1b[A')
+        await until(() => simulator.brightness === 102)
+        input.write('\x1b[D')
+        await until(() => simulator.contrast === 99)
+        await until(() => panel.entries.some(({ message }) => /^CONTRAST_DOWN ok/.test(message)))
+    })
+    it('cycles the mode tables both ways', async() => {
+        input.write('n')
+        await until(() => simulator.nuc === NUC_MODES.mid)
+        input.write('L')
+        await until(() => simulator.lut === LUT_MODES.sepia)
+        input.write('i')
+        await until(() => simulator.itt === ITT_MODES.inverse)
+        input.write('a')
+        await until(() => camera.state.agc === 'full')
+        assert.equal(simulator.agcEnabled, true)
+    })
+    it('toggles display settings', async() => {
+        input.write('o')
+        await until(() => simulator.osd === false)
+        input.write('b')
+        await until(() => simulator.colorBar === true)
+        input.write('f')
+        await until(() => simulator.frozen === true)
+        input.write('v')
+        await until(() => simulator.imageInverted === true)
+    })
+    it('asks before calibrating', async() => {
+        input.write('1')
+        await until(() => panel.prompt)
+        assert.match(panel.prompt.message, /1-point calibration on NUC table cold/)
+        input.write('x')
+        await until(() => panel.entries.some(({ message }) => message === '1-point calibration cancelled'))
+        input.write('2')
+        await until(() => panel.prompt)
+        input.write('y')
+        await until(() => simulator.calibrationNUC !== undefined)
+        await until(() => !panel.busy)
+        assert.equal(simulator.running2PointCalibration, false)
+        assert.ok(panel.entries.some(({ message }) => message === '2-point calibration complete'))
+    })
+    it('logs failed commands', async() => {
+        await simulator.close()
+        input.write('n')
+        await until(() => panel.entries.some(({ message }) => /^NUC next failed/.test(message)))
+    })
+    it('quits and gives the terminal back', async() => {
+        const exited = once(panel, 'exit')
+        input.write('q')
+        await exited
+        assert.equal(panel.running, false)
+        assert.ok(screen.endsWith('\x1b[?25h'))
+        // Keys after quitting do nothing
+        input.write('n')
+        await sleep(20)
+        assert.equal(simulator.nuc, NUC_MODES.cold)
+    })
+    it('renders unknown values as ?', () => {
+        const lines = renderPanel({ title: 'Bench', state: { connected: false }, log: [], busy: 'Refreshing' }, { logLines: 2 })
+        assert.match(lines[0], /Bench.*disconnected {2}Refreshing…/)
+        assert.match(lines[2], /NUC\s+\?\s+LUT\s+\?/)
+        assert.ok(Object.values(KEY_BINDINGS).every(binding => typeof binding.run === 'function'))
+    })
+})
@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { isBoolean, isSteps, MAX_STEPS, oneOf } from '../lib/validators.js'
+import { NUC_MODES, ValidationError } from '../index.js'
+
+describe('Validators', () => {
+    it('accepts options of a table', () => {
+        assert.equal(oneOf(NUC_MODES)('hot', 'nuc'), 'hot')
+        assert.throws(() => oneOf(NUC_MODES)('lukewarm', 'nuc'), {
+            name: 'ValidationError',
+            message: 'Invalid nuc "lukewarm". Available options are ["cold", "mid", "warm", "hot"]',
+            allowed: ['cold', 'mid', 'warm', 'hot']
+        })
+    })
+    it('accepts booleans', () => {
+        assert.equal(isBoolean(false, 'osd'), false)
+        assert.throws(() => isBoolean('on', 'osd'), { message: '"osd" must be true or false, got "on"' })
+    })
+    it('accepts a bounded number of steps', () => {
+        assert.equal(isSteps(-MAX_STEPS, 'delta'), -MAX_STEPS)
+        for (const steps of [0, 1.5, MAX_STEPS + 1, '3']) {
+            assert.throws(() => isSteps(steps, 'delta'), ValidationError)
+        }
+    })
+})